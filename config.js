@@ -0,0 +1,204 @@
+(function () {
+    "use strict";
+
+    /**
+     * Builds the URL of the authentication API from structured options (server, realm, tree, etc...),
+     * so that it doesn't need to be put together by hand, and checks the `goto` and `gotoOnFail` URLs
+     * so that the journey cannot be used as an open redirect
+     * @module ForgeRockJourneyConfig
+     */
+    const request = require("./request");
+
+    /**
+     * The options which describe the authentication API URL. Only one of the options which select how
+     * to authenticate (`AUTH_INDEX_OPTIONS`) may be supplied.
+     */
+    const OPTIONS = ["authenticateUrl", "serverUrl", "realm", "tree", "service", "module", "level", "compositeAdvice",
+        "goto", "gotoOnFail", "redirectAllowlist", "noSession", "forceAuth"];
+
+    /**
+     * Map of the options which select how to authenticate to the `authIndexType` sent to AM
+     */
+    const AUTH_INDEX_OPTIONS = {
+        tree: "service",
+        service: "service",
+        module: "module",
+        level: "level",
+        compositeAdvice: "composite_advice"
+    };
+
+    let escapeXml = (value) => String(value).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+    /**
+     * @param {Object} options - any object, such as the options supplied to a constructor
+     * @returns {Object} - only the URL options found within the object
+     */
+    let pick = function (options) {
+        return OPTIONS.reduce((result, name) => {
+            if (options[name] !== undefined) {
+                result[name] = options[name];
+            }
+            return result;
+        }, {});
+    };
+
+    /**
+     * @param {string} [realm=/] - e.g. "/", "alpha" or "/alpha/sub"
+     * @returns {string} - the realm portion of the API path, e.g. "realms/root/realms/alpha/realms/sub"
+     */
+    let getRealmPath = function (realm) {
+        let names = (realm || "").split("/").filter((name) => name);
+        if (names[0] === "root") {
+            names.shift();
+        }
+        names.forEach((name) => {
+            if (name === "." || name === ".." || /[?#\\]/.test(name)) {
+                throw new Error(`"${realm}" is not a valid realm`);
+            }
+        });
+        return ["realms/root"].concat(names.map((name) => `realms/${encodeURIComponent(name)}`)).join("/");
+    };
+
+    /**
+     * @param {Object|string} advice - the advice as XML, or a map of advice types to values (or lists of values),
+     *  e.g. { AuthLevelConditionAdvice: 3, AuthenticateToServiceConditionAdvice: "Example" }
+     * @returns {string} - the advice as the XML expected by AM
+     */
+    let getCompositeAdvice = function (advice) {
+        if (typeof advice === "string") {
+            return advice;
+        }
+        return `<Advices>${Object.keys(advice).map((name) =>
+            `<AttributeValuePair><Attribute name="${escapeXml(name)}"/>${
+                [].concat(advice[name]).map((value) => `<Value>${escapeXml(value)}</Value>`).join("")
+            }</AttributeValuePair>`).join("")}</Advices>`;
+    };
+
+    /**
+     * @param {string} url - a `goto` or `gotoOnFail` URL
+     * @param {Array} [allowlist] - strings or RegExps. A string with no path (e.g. "https://app.example.com") allows
+     *  any URL of that origin; otherwise it allows the URL itself, and the URLs which continue it with "/", "?" or "#"
+     *  (so "https://app.example.com/app" allows "https://app.example.com/app/home", but not "https://app.example.com/app-old").
+     *  A RegExp is tested against the absolute URL.
+     * @returns {boolean} - true if the URL may be used. URLs of the same origin as the current page are always allowed,
+     *  and URLs which are not http(s) never are.
+     */
+    let isRedirectAllowed = function (url, allowlist) {
+        let base = typeof window !== "undefined" && window.location ? window.location.href : undefined,
+            target;
+        try {
+            target = new URL(url, base);
+        } catch (e) {
+            return false;
+        }
+        if (["http:", "https:"].indexOf(target.protocol) === -1) {
+            return false;
+        }
+        if (base && target.origin === new URL(base).origin) {
+            return true;
+        }
+        return (allowlist || []).some((allowed) => {
+            if (allowed instanceof RegExp) {
+                return allowed.test(target.href);
+            }
+            let entry = new URL(allowed),
+                rest = target.href.substring(entry.href.length);
+            if (entry.pathname === "/" && !/\/$/.test(allowed)) {
+                return entry.origin === target.origin;
+            }
+            // the entry must end at a boundary of the path, so that it isn't matched by a longer name
+            return target.origin === entry.origin && target.href.indexOf(entry.href) === 0 &&
+                (rest === "" || /\/$/.test(entry.href) || /^[/?#]/.test(rest));
+        });
+    };
+
+    /**
+     * @param {Object} values - map of names to values, which may include `goto` and `gotoOnFail` URLs
+     * @param {Array} [allowlist] - see `isRedirectAllowed`
+     * @returns {Object} - the values. An error is thrown if either URL is not allowed.
+     */
+    let checkRedirects = function (values, allowlist) {
+        ["goto", "gotoOnFail"].forEach((name) => {
+            if (values[name] !== undefined && !isRedirectAllowed(values[name], allowlist)) {
+                throw new Error(`The ${name} URL "${values[name]}" is not within the redirectAllowlist`);
+            }
+        });
+        return values;
+    };
+
+    /**
+     * @param {Object} options
+     * @param {String} [options.serverUrl] - The base URL of AM, e.g. "https://example.com/am"
+     * @param {String} [options.authenticateUrl] - The URL of the authentication API, used when there is no `serverUrl`.
+     *  Any options supplied are added to its query string
+     * @param {String} [options.realm=/] - The realm to authenticate in, e.g. "alpha" or "/parent/child"
+     * @param {String} [options.tree] - The name of the authentication tree (journey) to use
+     * @param {String} [options.service] - The name of the authentication chain to use
+     * @param {String} [options.module] - The name of the authentication module to use
+     * @param {number} [options.level] - The authentication level required
+     * @param {Object|String} [options.compositeAdvice] - Advice describing how to authenticate; see `getCompositeAdvice`
+     * @param {String} [options.goto] - The URL AM should report as the `successUrl`
+     * @param {String} [options.gotoOnFail] - The URL AM should report as the `failureUrl`
+     * @param {Array} [options.redirectAllowlist] - The URLs permitted for `goto` and `gotoOnFail` (whether supplied as options,
+     *  or within the query string of the `authenticateUrl`); see `isRedirectAllowed`
+     * @param {boolean} [options.noSession] - Whether to authenticate without creating a session
+     * @param {boolean} [options.forceAuth] - Whether to authenticate again, even though the user already has a session
+     * @returns {String} - the URL of the authentication API. An error is thrown if the options are not valid.
+     */
+    let buildAuthenticateUrl = function (options) {
+        let base,
+            query,
+            index = Object.keys(AUTH_INDEX_OPTIONS).filter((name) => options[name] !== undefined && options[name] !== null);
+
+        if (options.serverUrl) {
+            base = `${options.serverUrl.replace(/\/+$/, "")}/json/${getRealmPath(options.realm)}/authenticate`;
+            query = {};
+        } else if (options.authenticateUrl) {
+            if (options.realm !== undefined) {
+                throw new Error("The realm can only be supplied along with the serverUrl");
+            }
+            base = options.authenticateUrl.split("?")[0];
+            query = request.parseQuery(options.authenticateUrl);
+        } else {
+            throw new Error("Either the serverUrl or the authenticateUrl option is required");
+        }
+
+        if (index.length > 1) {
+            throw new Error(`Only one of ${index.join(", ")} may be supplied`);
+        }
+        if (index.length) {
+            query.authIndexType = AUTH_INDEX_OPTIONS[index[0]];
+            query.authIndexValue = index[0] === "compositeAdvice"
+                ? getCompositeAdvice(options.compositeAdvice) : String(options[index[0]]);
+        }
+
+        ["goto", "gotoOnFail"].forEach((name) => {
+            if (options[name] !== undefined) {
+                query[name] = options[name];
+            }
+        });
+        // including those already within the query string of the authenticateUrl
+        checkRedirects(query, options.redirectAllowlist);
+        if (options.noSession !== undefined) {
+            query.noSession = String(!!options.noSession);
+        }
+        if (options.forceAuth !== undefined) {
+            query.ForceAuth = String(!!options.forceAuth);
+        }
+
+        let queryString = request.encodeForm(query);
+        return queryString ? `${base}?${queryString}` : base;
+    };
+
+    module.exports = {
+        OPTIONS,
+        AUTH_INDEX_OPTIONS,
+        pick,
+        getRealmPath,
+        getCompositeAdvice,
+        isRedirectAllowed,
+        checkRedirects,
+        buildAuthenticateUrl
+    };
+
+}());
@@ -0,0 +1,343 @@
+(function () {
+    "use strict";
+
+    /**
+     * The `<forgerock-login>` custom element, which wraps `ForgeRockEmbeddedLogin` so that it can be dropped into
+     * any page or framework. The journey is configured from the attributes of the element, and rendered into its
+     * Shadow DOM, which can be themed with CSS custom properties and `::part()` selectors. Content can be slotted
+     * in as the "header", "footer" and "success" of the element, and its progress is reported with DOM events.
+     * @module ForgeRockLoginElement
+     */
+
+    // the options read from attributes, by the type of their value
+    const STRING_OPTIONS = ["authenticateUrl", "serverUrl", "realm", "tree", "service", "module", "compositeAdvice",
+        "goto", "gotoOnFail", "apiVersion", "locale", "fallbackLocale", "sessionsUrl"];
+    const NUMBER_OPTIONS = ["level", "requestTimeout", "retries", "retryDelay", "pollingMaxAttempts", "pollingTimeout"];
+    const BOOLEAN_OPTIONS = ["noSession", "forceAuth", "restartOnSessionExpiry", "retrySubmits"];
+    const LIST_OPTIONS = ["redirectAllowlist"];
+
+    let toAttribute = (name) => name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+
+    /**
+     * The `part` given to the rendered content matching each selector, so that it can be styled from outside
+     */
+    const PARTS = [
+        ["form", "form"],
+        ["label", "label"],
+        ["input:not([type=submit]):not([type=image]):not([type=checkbox]):not([type=radio]):not([type=hidden]), select, textarea", "input"],
+        ["input[type=checkbox], input[type=radio]", "checkbox"],
+        ["input[type=submit], input[type=image], button", "button"],
+        [".validation-errors", "error"],
+        [".policy-requirements", "requirements"],
+        ["[id^=callback_].INFORMATION, [id^=callback_].WARNING, [id^=callback_].ERROR, .PollingWaitCallback", "message"]
+    ];
+
+    const STYLE = `
+        :host {
+            display: block;
+            font: var(--forgerock-login-font, inherit);
+            color: var(--forgerock-login-color, inherit);
+        }
+        :host([hidden]), :host(:not([authenticated])) slot[name=success], :host([authenticated]) .login, .failure:empty {
+            display: none;
+        }
+        form {
+            display: flex;
+            flex-direction: column;
+            gap: var(--forgerock-login-gap, 0.75em);
+        }
+        form > br {
+            display: none;
+        }
+        label {
+            display: block;
+        }
+        [part~=input] {
+            box-sizing: border-box;
+            width: 100%;
+            padding: var(--forgerock-login-input-padding, 0.5em);
+            border: 1px solid var(--forgerock-login-border-color, #8c8c8c);
+            border-radius: var(--forgerock-login-border-radius, 4px);
+            font: inherit;
+        }
+        [part~=button] {
+            padding: var(--forgerock-login-button-padding, 0.5em 1em);
+            border: 0;
+            border-radius: var(--forgerock-login-border-radius, 4px);
+            background: var(--forgerock-login-primary-color, #0c5fbf);
+            color: var(--forgerock-login-primary-text-color, #fff);
+            font: inherit;
+            cursor: pointer;
+        }
+        [aria-invalid=true] {
+            border-color: var(--forgerock-login-error-color, #c00);
+        }
+        [part~=error], [part~=failure] {
+            color: var(--forgerock-login-error-color, #c00);
+        }
+        :host([busy]) .login {
+            opacity: var(--forgerock-login-busy-opacity, 0.6);
+        }
+    `;
+
+    /**
+     * @constructor
+     * Created by the browser for each `<forgerock-login>` element. `Reflect.construct` is used (rather than a class),
+     * so that the element still works when transpiled for older browsers.
+     */
+    let loginElement = function () {
+        let el = Reflect.construct(HTMLElement, [], this.constructor),
+            root = el.attachShadow({ mode: "open" }),
+            createElement = loginElement.EmbeddedLogin.createElement;
+
+        el.loginOptions = {};
+        el.login = null;
+        el.failureElement = createElement("div", { class: "failure", part: "failure", role: "alert" });
+        el.loginContainer = createElement("div", { class: "login", part: "login" });
+        root.appendChild(createElement("style", {}, STYLE));
+        root.appendChild(createElement("div", { class: "container", part: "container" }, [
+            createElement("slot", { name: "header" }),
+            el.failureElement,
+            el.loginContainer,
+            createElement("slot", { name: "success" }),
+            createElement("slot", { name: "footer" })
+        ]));
+        return el;
+    };
+
+    // HTMLElement is only available in browsers
+    if (typeof HTMLElement !== "undefined") {
+        loginElement.prototype = Object.create(HTMLElement.prototype, {
+            constructor: { value: loginElement, writable: true, configurable: true }
+        });
+        Object.setPrototypeOf(loginElement, HTMLElement);
+    }
+
+    /**
+     * The attributes which configure the journey (e.g. "server-url", "realm" and "tree"), along with "manual"
+     */
+    loginElement.observedAttributes = STRING_OPTIONS.concat(NUMBER_OPTIONS, BOOLEAN_OPTIONS, LIST_OPTIONS)
+        .map(toAttribute).concat("manual");
+
+    /**
+     * Options for `ForgeRockEmbeddedLogin` which cannot be expressed as attributes, such as handlers, `middleware`,
+     * `messages` or `layouts`. Attributes take precedence. Setting them restarts the journey.
+     */
+    Object.defineProperty(loginElement.prototype, "options", {
+        get: function () {
+            return this.loginOptions;
+        },
+        set: function (value) {
+            this.loginOptions = Object.assign({}, value);
+            this.scheduleRestart();
+        }
+    });
+
+    /** @function connectedCallback
+     * Starts the journey once the element is added to the page, unless it has the "manual" attribute,
+     * in which case `start` must be called.
+     */
+    loginElement.prototype.connectedCallback = function () {
+        // frameworks may set the options before the element is upgraded, hiding the `options` property
+        if (Object.prototype.hasOwnProperty.call(this, "options")) {
+            let options = this.options;
+            delete this.options;
+            this.loginOptions = Object.assign({}, options);
+        }
+        if (!this.login && this.createLogin() && !this.hasAttribute("manual")) {
+            this.start();
+        }
+    };
+
+    /** @function disconnectedCallback
+     * Destroys the `login` once the element is removed from the page, aborting any requests in flight.
+     */
+    loginElement.prototype.disconnectedCallback = function () {
+        this.destroyLogin();
+    };
+
+    /** @function attributeChangedCallback
+     * Restarts the journey when its configuration changes.
+     */
+    loginElement.prototype.attributeChangedCallback = function (name, oldValue, newValue) {
+        if (oldValue !== newValue && name !== "manual") {
+            this.scheduleRestart();
+        }
+    };
+
+    /** @function scheduleRestart
+     * Creates a new `login` with the current configuration, and starts it (unless the element has the "manual"
+     * attribute and hasn't been started yet). Changes made together, such as to several attributes, only cause
+     * a single restart.
+     */
+    loginElement.prototype.scheduleRestart = function () {
+        if (!this.isConnected || this.pendingRestart) {
+            return this;
+        }
+        this.pendingRestart = Promise.resolve().then(() => {
+            let started = this.started;
+            this.pendingRestart = null;
+            if (this.isConnected) {
+                this.destroyLogin();
+                if (this.createLogin() && (started || !this.hasAttribute("manual"))) {
+                    this.start();
+                }
+            }
+        });
+        return this;
+    };
+
+    /** @function getLoginOptions
+     * @returns {Object} - the options for `ForgeRockEmbeddedLogin`, read from the attributes of the element and its
+     *  `options` property. The handlers supplied in `options` are still called, after the element has dispatched its events.
+     */
+    loginElement.prototype.getLoginOptions = function () {
+        let supplied = this.loginOptions,
+            options = Object.assign({}, supplied),
+            element = this,
+            attribute = (name) => this.getAttribute(toAttribute(name)),
+            handler = (name) => supplied[name] || (() => undefined);
+
+        STRING_OPTIONS.concat(NUMBER_OPTIONS, BOOLEAN_OPTIONS, LIST_OPTIONS).forEach((name) => {
+            let value = attribute(name);
+            if (value === null) {
+                return;
+            }
+            if (NUMBER_OPTIONS.indexOf(name) !== -1) {
+                options[name] = Number(value);
+            } else if (BOOLEAN_OPTIONS.indexOf(name) !== -1) {
+                options[name] = value !== "false";
+            } else if (LIST_OPTIONS.indexOf(name) !== -1) {
+                options[name] = value.split(/\s+/).filter((item) => item);
+            } else {
+                options[name] = value;
+            }
+        });
+
+        return Object.assign(options, {
+            loginElement: this.loginContainer,
+            loadingHandler: function (busy) {
+                element.toggleAttribute("busy", busy);
+                return handler("loadingHandler").apply(this, arguments);
+            },
+            successHandler: function (tokenId, successUrl, realm) {
+                element.loginContainer.textContent = "";
+                element.setAttribute("authenticated", "");
+                element.dispatch("login-success", { successUrl, realm });
+                return handler("successHandler").apply(this, arguments);
+            },
+            failureHandler: function () {
+                let step = this.journey.getStep(),
+                    message = step.message || this.translate("LOGIN_FAILURE");
+                element.failureElement.textContent = message;
+                // unless the event is cancelled, the journey starts again, so that the user can retry
+                if (element.dispatch("login-failure", { reason: step.reason, message }, true)) {
+                    element.start();
+                }
+                return handler("failureHandler").apply(this, arguments);
+            },
+            errorHandler: function (error) {
+                element.dispatch("login-error", { type: error.type, message: error.message, status: error.status });
+                return handler("errorHandler").apply(this, arguments);
+            }
+        });
+    };
+
+    /** @function createLogin
+     * Creates the `ForgeRockEmbeddedLogin` instance which renders into the Shadow DOM, as the `login` property.
+     * If the configuration is not valid (such as when neither "server-url" nor "authenticate-url" has been set
+     * yet), a "login-error" event of type "configuration" is dispatched instead.
+     * @returns {boolean} - true if the `login` was created
+     */
+    loginElement.prototype.createLogin = function () {
+        try {
+            let options = this.getLoginOptions();
+            if (!options.serverUrl && !options.authenticateUrl) {
+                throw new Error("Either the server-url or the authenticate-url attribute is required");
+            }
+            this.login = new loginElement.EmbeddedLogin(options);
+        } catch (error) {
+            this.dispatch("login-error", { type: "configuration", message: error.message });
+            return false;
+        }
+        this.login.on("render", (event) => {
+            this.addParts();
+            this.dispatch("step", {
+                header: event.header,
+                stage: event.stage,
+                template: event.template,
+                callbackTypes: event.callbackTypes
+            });
+        });
+        this.login.on("submit", () => {
+            this.failureElement.textContent = "";
+        });
+        return true;
+    };
+
+    /** @function destroyLogin
+     * Destroys the `login`, if there is one.
+     */
+    loginElement.prototype.destroyLogin = function () {
+        if (this.login) {
+            this.login.destroy();
+            this.login = null;
+        }
+        this.started = false;
+        this.removeAttribute("busy");
+        return this;
+    };
+
+    /** @function start
+     * @param {Object} [options] - options to change the journey with, such as `{ tree: "Registration" }`; see `startLogin`
+     * @returns {Promise} - resolved once the first step has been received
+     */
+    loginElement.prototype.start = function (options) {
+        if (!this.login) {
+            return Promise.reject(new Error("The element must be added to the page before it is started"));
+        }
+        this.started = true;
+        this.removeAttribute("authenticated");
+        return this.login.startLogin(options);
+    };
+
+    /** @function addParts
+     * Gives the rendered content the `part` names used to style it from outside the Shadow DOM, such as
+     * `forgerock-login::part(input)`.
+     */
+    loginElement.prototype.addParts = function () {
+        PARTS.forEach((part) => {
+            Array.prototype.forEach.call(this.loginContainer.querySelectorAll(part[0]), (el) => {
+                el.setAttribute("part", part[1]);
+            });
+        });
+        return this;
+    };
+
+    /** @function dispatch
+     * @param {string} type - the type of DOM event
+     * @param {Object} detail - the details of the event
+     * @param {boolean} [cancelable=false]
+     * @returns {boolean} - false if the event was cancelled
+     *
+     * Dispatches an event from the element, which bubbles out of any Shadow DOM the element is within.
+     */
+    loginElement.prototype.dispatch = function (type, detail, cancelable) {
+        return this.dispatchEvent(new CustomEvent(type, { bubbles: true, composed: true, cancelable: !!cancelable, detail }));
+    };
+
+    /**
+     * @param {string} [tagName=forgerock-login] - the name of the element
+     *
+     * Registers the element, if custom elements are supported and the name isn't already taken.
+     */
+    loginElement.define = function (tagName = "forgerock-login") {
+        if (typeof customElements !== "undefined" && typeof HTMLElement !== "undefined" && !customElements.get(tagName)) {
+            customElements.define(tagName, loginElement);
+        }
+        return loginElement;
+    };
+
+    module.exports = loginElement;
+
+}());
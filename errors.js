@@ -0,0 +1,50 @@
+(function () {
+    "use strict";
+
+    /**
+     * Typed error produced when the authentication API cannot be used to advance the journey
+     * @module ForgeRockJourneyError
+     */
+
+    /**
+     * @constructor
+     * @param {string} type - one of the type constants defined on this constructor (e.g. `JourneyError.NETWORK`)
+     * @param {string} message - human-readable description of the problem
+     * @param {Object} [details]
+     * @param {number} [details.status] - the HTTP status of the response, if one was received
+     * @param {Object} [details.response] - the parsed body of the response, if there was one
+     * @param {Error} [details.cause] - the underlying error, if there was one
+     */
+    let journeyError = function (type, message, details) {
+        details = details || {};
+        this.type = type;
+        this.message = message;
+        this.status = details.status;
+        this.response = details.response;
+        this.cause = details.cause;
+        this.stack = (new Error(message)).stack;
+        return this;
+    };
+
+    journeyError.prototype = Object.create(Error.prototype);
+    journeyError.prototype.constructor = journeyError;
+    journeyError.prototype.name = "JourneyError";
+
+    /** The request could not be sent, or no response was received */
+    journeyError.NETWORK = "network";
+    /** No response was received within the `requestTimeout` */
+    journeyError.TIMEOUT = "timeout";
+    /** The server responded with an unexpected error status */
+    journeyError.SERVER = "server";
+    /** The `authId` of the journey is no longer accepted by AM */
+    journeyError.SESSION_EXPIRED = "sessionExpired";
+    /** The response could not be understood (e.g. an HTML error page from a proxy) */
+    journeyError.MALFORMED_RESPONSE = "malformedResponse";
+    /** An OAuth 2.0 / OpenID Connect request failed, or produced tokens which could not be verified */
+    journeyError.OAUTH = "oauth";
+    /** The request was abandoned, by `abort` or `destroy` */
+    journeyError.ABORTED = "aborted";
+
+    module.exports = journeyError;
+
+}());
@@ -0,0 +1,74 @@
+(function () {
+    "use strict";
+
+    /**
+     * A minimal event emitter, used to observe the progress of a journey (for analytics, for instance)
+     * without overriding any of its functions. Every event is an object with the `type` of the event and
+     * the `timestamp` at which it was emitted, along with details particular to the type.
+     * @module ForgeRockEvents
+     */
+
+    /**
+     * Listeners for this type receive every event
+     */
+    const ALL = "*";
+
+    /**
+     * @constructor
+     */
+    let events = function () {
+        this.listeners = {};
+        return this;
+    };
+
+    /** @function on
+     * @param {string} type - the type of event, e.g. "submit", or "*" for every event
+     * @param {function} listener - Function to call with (event) for every event of the type
+     */
+    events.prototype.on = function (type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).concat(listener);
+        return this;
+    };
+
+    /** @function off
+     * @param {string} [type] - the type of event the listener was added for. When omitted, every listener is removed
+     * @param {function} [listener] - the listener to remove. When omitted, every listener for the type is removed
+     */
+    events.prototype.off = function (type, listener) {
+        if (type === undefined) {
+            this.listeners = {};
+        } else if (listener === undefined) {
+            delete this.listeners[type];
+        } else {
+            this.listeners[type] = (this.listeners[type] || []).filter((existing) => existing !== listener);
+        }
+        return this;
+    };
+
+    /** @function emit
+     * @param {string} type - the type of event
+     * @param {Object} [details] - the details of the event
+     * @returns {Object} - the event passed to the listeners
+     *
+     * A listener which throws an error doesn't stop the others from being called, nor does it interrupt
+     * the journey; the error is thrown again afterwards, so that it is still reported.
+     */
+    events.prototype.emit = function (type, details) {
+        let event = Object.assign({ type, timestamp: Date.now() }, details);
+        (this.listeners[type] || []).concat(type === ALL ? [] : this.listeners[ALL] || []).forEach((listener) => {
+            try {
+                listener(event);
+            } catch (error) {
+                setTimeout(() => {
+                    throw error;
+                });
+            }
+        });
+        return event;
+    };
+
+    events.ALL = ALL;
+
+    module.exports = events;
+
+}());
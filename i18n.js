@@ -0,0 +1,202 @@
+(function () {
+    "use strict";
+
+    /**
+     * Message catalogs for the text produced by the client itself (as opposed to the prompts and
+     * messages supplied by AM, which AM localizes according to the `Accept-Language` header),
+     * with locale negotiation, fallback and interpolation
+     * @module ForgeRockI18n
+     */
+
+    // languages (and scripts) which are written from right to left
+    const RTL_LANGUAGES = ["ar", "arc", "ckb", "dv", "fa", "he", "iw", "ks", "ps", "sd", "ug", "ur", "yi"];
+    const RTL_SCRIPTS = ["adlm", "arab", "hebr", "nkoo", "rohg", "syrc", "thaa"];
+
+    /**
+     * The message catalogs, keyed by lower-case locale (e.g. "fr" or "pt-br"). Placeholders like
+     * `{minLength}` are replaced with the params supplied to `translate`. Use `addMessages` to add
+     * catalogs for other locales, or to replace entries.
+     */
+    let catalogs = {
+        en: {
+            LOGIN_BUTTON: "Login",
+            LOGIN_FAILURE: "Login failure",
+            KBA_ANSWER: "Answer",
+            TERMS_ACCEPT: "I accept the terms and conditions",
+            // policy requirements, as reported by the self-service callbacks
+            REQUIRED: "This field is required",
+            MIN_LENGTH: "Must be at least {minLength} characters long",
+            MAX_LENGTH: "Must be no more than {maxLength} characters long",
+            AT_LEAST_X_CAPITAL_LETTERS: "Must contain at least {numCaps} capital letter(s)",
+            AT_LEAST_X_NUMBERS: "Must contain at least {numNums} number(s)",
+            CANNOT_CONTAIN_CHARACTERS: "Must not contain any of these characters: {forbiddenChars}",
+            CANNOT_CONTAIN_OTHERS: "Must not contain: {disallowedFields}",
+            CANNOT_CONTAIN_DUPLICATES: "Must not contain duplicates",
+            MATCH_REGEXP: "Has an invalid format",
+            VALID_EMAIL_ADDRESS_FORMAT: "Must be a valid email address",
+            VALID_USERNAME: "Must be a valid username",
+            VALID_TYPE: "Must be a valid {validTypes}",
+            VALID_NUMBER: "Must be a valid number",
+            MINIMUM_NUMBER_VALUE: "Must be at least {minimumValue}",
+            MAXIMUM_NUMBER_VALUE: "Must be no more than {maximumValue}",
+            UNIQUE: "Must be unique",
+            DICTIONARY: "Must not be a common word",
+            // the following are only produced by the checks made on the client before submitting
+            TERMS_NOT_ACCEPTED: "You must accept the terms and conditions to continue",
+            CONSENT_REQUIRED: "You must give your consent to continue",
+            KBA_REQUIRED: "A security question and answer are required"
+        }
+    };
+
+    let normalizeLocale = (locale) => (locale || "").replace(/_/g, "-").toLowerCase();
+
+    // e.g. "zh-Hant-TW" => ["zh-Hant-TW", "zh-Hant", "zh"]
+    let truncations = (locale) => {
+        let parts = (locale || "").replace(/_/g, "-").split("-").filter((part) => part);
+        return parts.map((part, index) => parts.slice(0, parts.length - index).join("-"));
+    };
+
+    let withFallback = (chain, fallbackLocale) =>
+        chain.map(normalizeLocale).indexOf(normalizeLocale(fallbackLocale)) === -1 ? chain.concat(fallbackLocale) : chain;
+
+    let browserLocales = () => (typeof navigator !== "undefined"
+        ? [].concat(navigator.languages || navigator.language || []) : []);
+
+    /**
+     * @param {string} template - text which may contain placeholders like `{minLength}`
+     * @param {Object} [params] - the values of the placeholders; lists are joined with commas
+     * @returns {string} - the text with each placeholder that has a value replaced
+     */
+    let interpolate = function (template, params) {
+        params = params || {};
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            params[name] === undefined ? placeholder : [].concat(params[name]).join(", ")
+        );
+    };
+
+    /**
+     * @param {string} locale - e.g. "zh-Hant-TW"
+     * @param {string} [fallbackLocale=en] - the locale to use when nothing more specific is available
+     * @returns {Array} - the lower-case locales to look for messages in, most specific first,
+     *  e.g. ["zh-hant-tw", "zh-hant", "zh", "en"]
+     */
+    let getFallbackChain = function (locale, fallbackLocale) {
+        return withFallback(truncations(locale), fallbackLocale || "en").map(normalizeLocale);
+    };
+
+    /**
+     * @param {string} locale
+     * @returns {boolean} - true if the locale is written from right to left
+     */
+    let isRtl = function (locale) {
+        let parts = normalizeLocale(locale).split("-");
+        return RTL_LANGUAGES.indexOf(parts[0]) !== -1 ||
+            parts.slice(1).some((part) => RTL_SCRIPTS.indexOf(part) !== -1);
+    };
+
+    /**
+     * @param {string} locale - e.g. "fr" or "pt-BR"
+     * @param {Object} messages - map of keys to message templates, added to (or replacing those in) the catalog of the locale
+     */
+    let addMessages = function (locale, messages) {
+        let key = normalizeLocale(locale);
+        catalogs[key] = Object.assign(catalogs[key] || {}, messages);
+    };
+
+    /**
+     * @constructor
+     * @param {Object} [options]
+     * @param {string} [options.locale] - The locale to use, e.g. "fr-CA". By default, the first of the browser's
+     *  preferred languages which has a catalog is used
+     * @param {string} [options.fallbackLocale=en] - The locale to use for any message missing from the catalogs of the `locale`
+     * @param {Object} [options.messages] - Messages for this instance only, keyed by locale and then by message key.
+     *  These take precedence over the shared catalogs
+     */
+    let i18n = function (options) {
+        options = options || {};
+        this.fallbackLocale = options.fallbackLocale || "en";
+        this.messages = Object.keys(options.messages || {}).reduce((result, locale) => {
+            result[normalizeLocale(locale)] = options.messages[locale];
+            return result;
+        }, {});
+        this.setLocale(options.locale);
+        return this;
+    };
+
+    /** @function setLocale
+     * @param {string} [locale] - the locale to use from now on; when omitted, it is negotiated from the browser's preferences
+     */
+    i18n.prototype.setLocale = function (locale) {
+        this.locale = locale ? locale.replace(/_/g, "-") : undefined;
+        return this;
+    };
+
+    /** @function hasMessages
+     * @param {string} locale
+     * @returns {boolean} - true if there is a catalog (shared or for this instance) for exactly this locale
+     */
+    i18n.prototype.hasMessages = function (locale) {
+        let key = normalizeLocale(locale);
+        return !!(this.messages[key] || catalogs[key]);
+    };
+
+    /** @function getLocale
+     * @returns {string} - the `locale` supplied, or otherwise the first of the browser's preferred languages
+     *  for which a catalog is available (falling back to the `fallbackLocale`)
+     */
+    i18n.prototype.getLocale = function () {
+        if (this.locale) {
+            return this.locale;
+        }
+        return browserLocales().reduce((found, locale) =>
+            found || (truncations(locale).some((candidate) => this.hasMessages(candidate)) && locale), false) ||
+            this.fallbackLocale;
+    };
+
+    /** @function translate
+     * @param {string} key - the key of the message, e.g. "LOGIN_BUTTON"
+     * @param {Object} [params] - values for the placeholders within the message
+     * @returns {string} - the message from the most specific catalog of the locale which has it, falling back to the
+     *  `fallbackLocale`. If no catalog has the message, the key itself is returned.
+     */
+    i18n.prototype.translate = function (key, params) {
+        let template = getFallbackChain(this.getLocale(), this.fallbackLocale).reduce((found, locale) => {
+            if (found !== undefined) {
+                return found;
+            }
+            if (this.messages[locale] && this.messages[locale][key] !== undefined) {
+                return this.messages[locale][key];
+            }
+            return catalogs[locale] && catalogs[locale][key];
+        }, undefined);
+        return interpolate(template === undefined ? key : template, params);
+    };
+
+    /** @function getAcceptLanguage
+     * @returns {string} - the value of the `Accept-Language` header describing the `locale` and its fallbacks
+     *  (e.g. "fr-CA, fr;q=0.9, en;q=0.8"), or null if no `locale` was supplied, so that the browser's own header is used
+     */
+    i18n.prototype.getAcceptLanguage = function () {
+        if (!this.locale) {
+            return null;
+        }
+        return withFallback(truncations(this.locale), this.fallbackLocale).map((locale, index) => index ? `${locale};q=${Math.max(1 - index / 10, 0.1).toFixed(1)}` : locale)
+            .join(", ");
+    };
+
+    /** @function isRtl
+     * @returns {boolean} - true if the current locale is written from right to left
+     */
+    i18n.prototype.isRtl = function () {
+        return isRtl(this.getLocale());
+    };
+
+    i18n.catalogs = catalogs;
+    i18n.addMessages = addMessages;
+    i18n.interpolate = interpolate;
+    i18n.getFallbackChain = getFallbackChain;
+    i18n.isRtl = isRtl;
+
+    module.exports = i18n;
+
+}());
@@ -2,46 +2,279 @@
     "use strict";
 
     /**
-     * Module used to encapsulate interaction with ForgeRock Access Management's authentication API
+     * Module used to render the authentication journey provided by ForgeRock Access Management's
+     * authentication API into the DOM. The interaction with the API itself is handled by the
+     * headless `ForgeRockJourney` core (available as `ForgeRockEmbeddedLogin.Journey`).
      * @module ForgeRockEmbeddedLogin
      */
-    let findName = (array, name) => array.reduce(
-        (found, item) => found || (item.name === name && item), false
-    );
+    const journey = require("./journey");
+    const session = require("./session");
+    const oauth = require("./oauth");
+    const request = require("./request");
+    const webauthn = require("./webauthn");
+    const inputs = require("./inputs");
+    const layouts = require("./layouts");
+    const loginElement = require("./element");
+    const findName = journey.findName;
+
+    /**
+     * Builds a DOM node without ever parsing markup, so that values supplied by the server
+     * cannot inject content. Attributes that are `undefined`, `null` or `false` are skipped,
+     * and `true` produces an empty (boolean) attribute.
+     * @param {string} tagName - the element to create
+     * @param {Object} [attributes] - map of attribute names to values
+     * @param {Array|string} [children] - text content, or a list of nodes and strings to append
+     * @returns {Object} - the DOM node
+     */
+    let createElement = (tagName, attributes, children) => {
+        let el = document.createElement(tagName);
+        Object.keys(attributes || {}).forEach((name) => {
+            let value = attributes[name];
+            if (value !== undefined && value !== null && value !== false) {
+                el.setAttribute(name, value === true ? "" : value);
+            }
+        });
+        [].concat(children === undefined || children === null ? [] : children).forEach((child) => {
+            el.appendChild(typeof child === "object" ? child : document.createTextNode(child));
+        });
+        return el;
+    };
+
+    let selectIdPAllowsLocal = (callback) => ((findName(callback.output, "providers") || {}).value || [])
+        .some((provider) => provider.provider === "localAuthentication");
+
+    /**
+     * The `autocomplete` values for the profile attributes commonly collected by StringAttributeInputCallbacks
+     */
+    const ATTRIBUTE_AUTOCOMPLETE = {
+        mail: "email",
+        givenName: "given-name",
+        sn: "family-name",
+        cn: "name",
+        telephoneNumber: "tel",
+        postalAddress: "street-address",
+        postalCode: "postal-code",
+        country: "country-name"
+    };
+
+    /**
+     * Keeps content out of view while leaving it available to assistive technology
+     */
+    const VISUALLY_HIDDEN = "position:absolute;width:1px;height:1px;margin:-1px;padding:0;border:0;" +
+        "overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap";
+
+    /**
+     * @param {number} index - ordinal position of the callback relative to others
+     * @param {Object} [validation] - the `required` flag, policy `requirements` and validation `errors` of the callback
+     * @returns {Object} - the attributes which identify the field of a callback, so that its label can refer to it,
+     *  and which tie the field to the validation messages produced by `renderValidationMessages`
+     */
+    let fieldAttributes = (index, validation) => {
+        let errors = validation && validation.errors.length,
+            requirements = validation && validation.requirements.length;
+        return {
+            id: `callback_${index}`,
+            required: validation && validation.required,
+            "aria-invalid": errors ? "true" : undefined,
+            "aria-describedby": errors ? `callback_${index}_errors`
+                : (requirements ? `callback_${index}_requirements` : undefined)
+        };
+    };
+
+    /**
+     * @param {string} id - the id of the field being labelled
+     * @param {string} text - the text of the label
+     * @returns {Object} - the label DOM node
+     */
+    let labelFor = (id, text) => createElement("label", { for: id, id: `label_${id}` }, text);
+
+    /**
+     * The layout used when none has been registered for the step: the content of every callback,
+     * with breaks between them
+     * @param {Object} parts - the rendered callbacks, as described by `ForgeRockLayouts.getParts`
+     * @returns {Array} - the DOM nodes to place within the form
+     */
+    let defaultLayout = (parts) => parts.nodes.reduce((result, node) => result.concat(node, document.createElement("br")), []);
 
     /**
      * @constructor
      * @param {Object} options
-     * @param {String} options.authenticateUrl - The URL to the AM authentication API, with all options included within the query string
+     * @param {String} [options.authenticateUrl] - The URL to the AM authentication API. Either this or the `serverUrl` is required
+     * @param {String} [options.serverUrl] - The base URL of AM (e.g. "https://example.com/am"), from which the `authenticateUrl` is built
+     * @param {String} [options.realm=/] - The realm to authenticate in, including any parent realms (e.g. "/alpha/sub")
+     * @param {String} [options.tree] - The authentication tree (journey) to use. Alternatively, supply one of `service`, `module`, `level` or `compositeAdvice`
+     * @param {String} [options.goto] - The URL for AM to report as the `successUrl`; it must be of the current origin or within the `redirectAllowlist`
+     * @param {String} [options.gotoOnFail] - The URL for AM to report as the `failureUrl`; it must be of the current origin or within the `redirectAllowlist`
+     * @param {Array} [options.redirectAllowlist] - Strings or RegExps describing the other URLs permitted for `goto` and `gotoOnFail`
+     * @param {boolean} [options.noSession] - Whether to authenticate without creating a session
+     * @param {boolean} [options.forceAuth] - Whether to authenticate again, even though the user already has a session
+     * @param {String} [options.apiVersion=protocol=1.0,resource=2.1] - The version of the authentication API to request
+     * @param {function} [options.transport] - Function to call with (url, requestOptions, context) to send each request to AM, in place of `fetch`
+     * @param {Array} [options.middleware] - Functions to call with (req, next) for each request to AM, such as those in `ForgeRockEmbeddedLogin.middleware`
+     * @param {function} [options.loadingHandler] - Function to call with (busy) whenever the form starts or finishes being submitted
      * @param {function} options.postRenderHandler - Function to call after the login form is rendered on the page. Includes  (header, stage, template) arguments
-     * @param {function} options.successHandler - Function to call whenever authentication succeeds
-     * @param {function} options.failureHandler - Function to call whenever authentication fails
+     * @param {function} options.successHandler - Function to call whenever authentication succeeds. Includes (tokenId, successUrl, realm, tokens) arguments; tokens are only present with the `oauth` option
+     * @param {function} options.failureHandler - Function to call whenever authentication fails. Includes an (error) argument when the
+     *  failure is due to a request which could not be completed, and there is no `errorHandler`
      * @param {Object} options.loginElement - Place in the DOM used to render the credential input fields
+     * @param {number} [options.pollingMaxAttempts] - Maximum number of times a PollingWaitCallback will be resubmitted before giving up
+     * @param {number} [options.pollingTimeout] - Maximum total time (in ms) to spend polling before giving up
+     * @param {function} [options.pollingTimeoutHandler] - Function to call when polling gives up. Defaults to the failureHandler
+     * @param {function} [options.errorHandler] - Function to call with a `JourneyError` whenever a request cannot advance the journey.
+     *  Without it, the failures of the submissions made by the form, by polling and by WebAuthn steps are passed to the `failureHandler`
+     * @param {number} [options.requestTimeout] - Time (in ms) to wait for each response before giving up on it
+     * @param {number} [options.retries=2] - Number of times to resend a request which the server refused, or which started the journey and failed with a network error, timeout or gateway error
+     * @param {boolean} [options.retrySubmits=false] - Whether to also resend the submissions of the journey after a network error, timeout or gateway error. AM may already have processed them, so this could count an attempt twice or use up a one-time password
+     * @param {number} [options.retryDelay=500] - Time (in ms) to wait before the first retry; doubled for every subsequent retry
+     * @param {boolean} [options.restartOnSessionExpiry=true] - Whether to restart the journey (keeping the username entered) when the `authId` has expired
+     * @param {String} [options.sessionsUrl] - The URL to the AM sessions endpoint. By default it is found relative to the `authenticateUrl`
+     * @param {number} [options.sessionWarningTime=60000] - Time (in ms) before the session expires at which to call the `sessionWarningHandler`
+     * @param {function} [options.sessionWarningHandler] - Function to call with (type, expiresAt) when the session is about to expire. Type is "idle" or "max". Supplying this (or the `sessionExpiredHandler`) starts watching the session after authentication succeeds
+     * @param {function} [options.sessionExpiredHandler] - Function to call with (type) when the session has expired
+     * @param {Object} [options.oauth] - Options for obtaining OAuth 2.0 / OpenID Connect tokens after authentication; see `ForgeRockEmbeddedLogin.OAuth`
+     * @param {function} [options.webAuthnErrorHandler] - Function to call with (errorType, error, type) when a WebAuthn step cannot be completed. The errorType is "unsupported", "cancelled" or "error", and the type is "registration" or "authentication"
+     * @param {boolean} [options.allowScripts=false] - Whether script TextOutputCallbacks may be executed as inline scripts
+     * @param {string} [options.scriptNonce] - CSP nonce to set on inline scripts, when they are allowed
+     * @param {Array} [options.scriptAllowlist] - Strings or RegExps; when supplied, only matching scripts are executed
+     * @param {function} [options.scriptHandler] - Function to call with (script, index) for every script TextOutputCallback. Returning anything other than `undefined` marks the script as handled (use it to replace known scripts with your own code), and the value is rendered in its place
+     * @param {string} [options.locale] - Locale (e.g. "fr-CA") to request from AM and to use for the messages produced by the client. Without it, the browser's preferences are used
+     * @param {string} [options.fallbackLocale=en] - Locale of the messages to use when the `locale` has no message of its own
+     * @param {Object} [options.messages] - Messages to use, keyed by locale and then by message key (e.g. `{ fr: { LOGIN_BUTTON: "Connexion" } }`)
+     * @param {Object} [options.valueExtractors] - Map of callback types to functions which read the values of their inputs from the form; see `registerValueExtractor`
+     * @param {Object} [options.layouts] - Layouts for the form, as `{ stage: {...}, template: {...}, signature: {...}, default }`; see `registerLayout`
+     * @param {boolean} [options.metrics=false] - Whether to keep a summary of each journey, available from `getMetrics`
+     * @param {function} [options.metricsHandler] - Function to call with the summary of each journey (time to authenticate, steps, where it was abandoned, etc...) when it ends
      */
     let embeddedLogin = function (options) {
-        this.authenticateUrl = options.authenticateUrl;
+        // shared by the journey, session and OAuth requests, so that `use` applies to all of them
+        let middleware = [].concat(options.middleware || []);
         this.postRenderHandler = options.postRenderHandler;
         this.successHandler = options.successHandler;
         this.failureHandler = options.failureHandler;
         this.loginElement = options.loginElement;
+        // kept, so that `destroy` can put it back
+        this.originalContent = this.loginElement ? Array.prototype.slice.call(this.loginElement.childNodes) : [];
+        this.pollingTimeoutHandler = options.pollingTimeoutHandler;
+        this.errorHandler = options.errorHandler;
+        this.webAuthnErrorHandler = options.webAuthnErrorHandler;
+        this.allowScripts = !!options.allowScripts;
+        this.scriptNonce = options.scriptNonce;
+        this.scriptAllowlist = options.scriptAllowlist;
+        this.scriptHandler = options.scriptHandler;
+        this.loadingHandler = options.loadingHandler;
+        this.valueExtractors = Object.assign({}, options.valueExtractors);
+        this.layoutRegistry = layouts.createRegistry(options.layouts);
+        this.journey = new journey(Object.assign(journey.config.pick(options), {
+            apiVersion: options.apiVersion,
+            transport: options.transport,
+            middleware,
+            pollingMaxAttempts: options.pollingMaxAttempts,
+            pollingTimeout: options.pollingTimeout,
+            pollingTimeoutHandler: () => this.handlePollingTimeout(),
+            pollingErrorHandler: (error) => this.handleSubmitError(error),
+            errorHandler: options.errorHandler && ((error) => this.handleError(error)),
+            requestTimeout: options.requestTimeout,
+            retries: options.retries,
+            retryDelay: options.retryDelay,
+            retrySubmits: options.retrySubmits,
+            restartOnSessionExpiry: options.restartOnSessionExpiry,
+            locale: options.locale,
+            fallbackLocale: options.fallbackLocale,
+            messages: options.messages,
+            metrics: options.metrics,
+            metricsHandler: options.metricsHandler,
+            busyHandler: (busy) => this.handleBusy(busy),
+            stepHandler: (step, action) => {
+                let signature = layouts.getSignature(this.currentCallbacks.callbacks);
+                // polling responses which repeat the step being waited upon are not new steps, so the focus is left alone
+                this.focusPending = action !== "poll" || signature !== this.stepSignature;
+                this.stepSignature = signature;
+                this.validationErrors = {};
+                this.handleCallbackResponse(step);
+            }
+        }));
+        this.validationErrors = {};
+        this.sessionWarningHandler = options.sessionWarningHandler;
+        this.sessionExpiredHandler = options.sessionExpiredHandler;
+        let watchSession = !!(options.sessionWarningHandler || options.sessionExpiredHandler);
+        this.session = new session({
+            authenticateUrl: this.authenticateUrl,
+            sessionsUrl: options.sessionsUrl,
+            requestTimeout: options.requestTimeout,
+            transport: options.transport,
+            middleware,
+            sessionWarningTime: options.sessionWarningTime,
+            // both are needed for the events, whichever of the handlers was supplied
+            sessionWarningHandler: watchSession && ((type, expiresAt) => this.handleSessionWarning(type, expiresAt)),
+            sessionExpiredHandler: watchSession && ((type) => this.handleSessionExpired(type))
+        });
+        this.oauth = options.oauth ? new oauth(Object.assign({
+            authenticateUrl: this.authenticateUrl,
+            requestTimeout: options.requestTimeout,
+            transport: options.transport,
+            middleware,
+            errorHandler: (error) => this.handleError(error)
+        }, options.oauth)) : null;
         return this;
     };
 
+    /**
+     * The URL of the authentication API, as built by the journey from the options supplied.
+     */
+    Object.defineProperty(embeddedLogin.prototype, "authenticateUrl", {
+        get: function () {
+            return this.journey.authenticateUrl;
+        }
+    });
+
+    /**
+     * The raw response most recently returned by the authentication API. This is owned by
+     * the journey; it is exposed here so that renderers can continue to read and update it.
+     */
+    Object.defineProperty(embeddedLogin.prototype, "currentCallbacks", {
+        get: function () {
+            return this.journey.currentCallbacks;
+        },
+        set: function (value) {
+            this.journey.currentCallbacks = value;
+        }
+    });
+
     /** @function handleCallbackResponse
+     * @param {Object} step - the normalized step model produced by the journey
+     *
      * Unlikely to need to be overridden or called directly. This function is called
-     * by the default implementation of startLogin and submitCallbacks. It reacts to
-     * the response produced from either by delegating the work to the proper handler,
-     * based on the state determined.
-     */
-    embeddedLogin.prototype.handleCallbackResponse = function () {
-        if (this.success() && this.successHandler) {
-            this.successHandler();
-        } else if (this.failure() && this.failureHandler) {
-            this.failureHandler();
+     * by the journey whenever a new response is received. It reacts to the response
+     * by delegating the work to the proper handler, based on the state determined.
+     */
+    embeddedLogin.prototype.handleCallbackResponse = function (step) {
+        if (this.destroyed) {
+            return this;
+        }
+        if (this.success()) {
+            this.handleSuccess();
+        } else if (this.failure()) {
+            this.announce((step && step.message) || this.translate("LOGIN_FAILURE"));
+            if (this.failureHandler) {
+                this.failureHandler();
+            }
         } else {
+            // the journey may move on (or be started again) while rendering, so the event describes this step
+            let rendering = this.currentCallbacks;
+            this.webAuthnStepType = webauthn.getStepType(this.currentCallbacks.callbacks);
+            // rendering may finish after `destroy` has been called, in which case the content is discarded
             this.renderAllCallbacks()
-                .then((loginContent) => this.renderHandler(loginContent))
+                .then((loginContent) => !this.destroyed && this.renderHandler(loginContent))
                 .then(() => {
+                    if (this.destroyed) {
+                        return;
+                    }
+                    this.journey.emit("render", {
+                        header: rendering.header,
+                        stage: rendering.stage,
+                        template: rendering.template,
+                        callbackTypes: rendering.callbacks.map((callback) => callback.type)
+                    });
                     if (this.postRenderHandler) {
                         this.postRenderHandler(
                             this.currentCallbacks.header,
@@ -49,40 +282,361 @@
                             this.currentCallbacks.template
                         );
                     }
-                });
+                    if (this.webAuthnStepType) {
+                        return this.handleWebAuthn();
+                    }
+                })
+                // such as a renderer, layout or postRenderHandler which throws
+                .catch((error) => this.handleSubmitError(error));
         }
         return this;
     };
 
+    /** @function handleSuccess
+     * @returns {Promise} - resolved once the `successHandler` has been called
+     *
+     * Called when authentication succeeds. The default implementation hands the new tokenId to the session,
+     * and starts watching it if either of the `sessionWarningHandler` or `sessionExpiredHandler` options was
+     * supplied. When the `oauth` option was supplied, tokens are then obtained from AM. Finally, the
+     * `successHandler` is called with (tokenId, successUrl, realm, tokens) arguments. If the tokens cannot be
+     * obtained, the error is passed to `handleSubmitError` instead.
+     */
+    embeddedLogin.prototype.handleSuccess = function () {
+        let response = this.currentCallbacks;
+
+        this.session.tokenId = response.tokenId;
+        if (this.session.sessionWarningHandler || this.session.sessionExpiredHandler) {
+            this.session.watch().catch((error) => this.handleSubmitError(error));
+        }
+
+        return (this.oauth ? this.oauth.authorize(response.tokenId) : Promise.resolve())
+            .then((tokens) => {
+                if (this.successHandler && !this.destroyed) {
+                    this.successHandler(response.tokenId, response.successUrl, response.realm, tokens);
+                }
+            }, (error) => {
+                this.handleSubmitError(error);
+            });
+    };
+
+    /** @function getTokens
+     * @returns {Object} - the OAuth 2.0 token set obtained after authentication, or null if there is none
+     */
+    embeddedLogin.prototype.getTokens = function () {
+        return this.oauth ? this.oauth.getTokens() : null;
+    };
+
+    /** @function refreshTokens
+     * @returns {Promise} - resolved with a new OAuth 2.0 token set
+     */
+    embeddedLogin.prototype.refreshTokens = function () {
+        if (!this.oauth) {
+            return Promise.reject(new Error("The oauth option was not supplied"));
+        }
+        return this.oauth.refresh(this.session.tokenId);
+    };
+
+    /** @function validateSession
+     * @returns {Promise} - resolved with the response from AM, which includes `valid` (boolean), and, if valid, the `uid` and `realm`
+     */
+    embeddedLogin.prototype.validateSession = function () {
+        return this.session.validate();
+    };
+
+    /** @function getSessionInfo
+     * @returns {Promise} - resolved with the details of the session, including `username`, `universalId`, `realm`,
+     *  `latestAccessTime`, `maxIdleExpirationTime` and `maxSessionExpirationTime`
+     */
+    embeddedLogin.prototype.getSessionInfo = function () {
+        return this.session.getInfo();
+    };
+
+    /** @function refreshSession
+     * Resets the idle time of the session.
+     * @returns {Promise} - resolved with the updated details of the session
+     */
+    embeddedLogin.prototype.refreshSession = function () {
+        return this.session.refresh();
+    };
+
+    /** @function logout
+     * Revokes any OAuth 2.0 tokens, and ends the session and stops watching it. The session is ended even if
+     * the tokens cannot be revoked, in which case the error is passed to `handleSubmitError`.
+     * @returns {Promise} - resolved with the response from AM to ending the session
+     */
+    embeddedLogin.prototype.logout = function () {
+        let revoked = this.oauth ? this.oauth.revoke().catch((error) => this.handleSubmitError(error)) : Promise.resolve();
+        return Promise.all([this.session.logout(), revoked]).then((results) => results[0]);
+    };
+
     /** @function startLogin
+     * @param {Object} [options] - options to change the journey with before starting, such as `{ tree: "Registration" }`.
+     *  Any of the `tree`, `service`, `module`, `level`, `compositeAdvice`, `goto`, `gotoOnFail`, `noSession` and `forceAuth`
+     *  options of the constructor may be supplied. The server and realm cannot be changed, since the sessions and OAuth 2.0
+     *  endpoints are found from them.
+     *
      * This function *MUST* be called by your application, when you are ready to start
      * interacting with the AM authentication API. It is unlikely that you will need
      * to override it. It makes XHR calls to the authenticateUrl without any credentials
      * supplied (besides the cookie that may be present in the case of an established session).
      */
-    embeddedLogin.prototype.startLogin = function () {
-        this.currentCallbacks = {};
-        return this.submitCallbacks();
+    embeddedLogin.prototype.startLogin = function (options) {
+        if (options && ["authenticateUrl", "serverUrl", "realm"].some((name) => options[name] !== undefined)) {
+            return Promise.reject(new Error("The server and realm cannot be changed by startLogin; create a new instance instead"));
+        }
+        return this.journey.start(options).then(() => this);
+    };
+
+    /** @function resumeLogin
+     * Call this instead of `startLogin` on the page the user returns to after being redirected away
+     * by a RedirectCallback (for example, to a social identity provider), or after following a link
+     * containing a `suspendedId`. If the URL contains the parameters which continue the journey, they
+     * are sent to AM along with the step saved before the redirect, and are then removed from the
+     * address bar. Otherwise, a new journey is started.
+     * @param {String} [url=window.location.href] - the URL the user has returned to
+     */
+    embeddedLogin.prototype.resumeLogin = function (url) {
+        let currentUrl = url || window.location.href,
+            params = this.journey.getResumeParams(currentUrl);
+
+        if (params && !url && window.history && window.history.replaceState) {
+            let remaining = request.parseQuery(currentUrl);
+            Object.keys(params).forEach((name) => delete remaining[name]);
+            let query = request.encodeForm(remaining),
+                hash = window.location.hash;
+            window.history.replaceState(window.history.state, "",
+                `${window.location.pathname}${query ? `?${query}` : ""}${hash}`);
+        }
+        return this.journey.resume(currentUrl).then(() => this);
+    };
+
+    /** @function handleRedirect
+     * @param {string} redirectUrl - where to send the user
+     * @param {string} redirectMethod - "GET" or "POST"
+     * @param {Object} redirectData - map of names to values to post, when the method is "POST"
+     * @returns {Promise} - never resolved, since the page transitions to the redirectUrl
+     *
+     * Called for a RedirectCallback. Saves the state of the journey (so that `resumeLogin` can continue
+     * it when the user returns), then sends the browser to the redirectUrl. Only http(s) URLs (resolved
+     * against the page) are followed; anything else (such as a "javascript:" URL) is passed to
+     * `handleSubmitError` as a `JourneyError` of type `JourneyError.MALFORMED_RESPONSE` instead.
+     */
+    embeddedLogin.prototype.handleRedirect = function (redirectUrl, redirectMethod, redirectData) {
+        let url;
+        try {
+            url = new URL(redirectUrl, window.location.href);
+        } catch (e) {
+            url = null;
+        }
+        if (!url || (url.protocol !== "https:" && url.protocol !== "http:")) {
+            this.handleSubmitError(new journey.JourneyError(journey.JourneyError.MALFORMED_RESPONSE,
+                "The redirectUrl of the RedirectCallback is not an http(s) URL"));
+            return Promise.resolve([]);
+        }
+
+        this.journey.saveState();
+        this.journey.emit("redirect", { url: journey.middleware.redactUrl(url.href), method: String(redirectMethod).toUpperCase() });
+
+        if (String(redirectMethod).toUpperCase() === "POST") {
+            let form = createElement("form", { action: url.href, method: "POST" },
+                Object.keys(redirectData).map((name) =>
+                    createElement("input", { type: "hidden", name, value: redirectData[name] })));
+            document.getElementsByTagName("body")[0].appendChild(form);
+            form.submit();
+        } else {
+            window.location.assign(url.href);
+        }
+        return new Promise(() => null);
+    };
+
+    /** @function handleWebAuthn
+     * Called after a WebAuthn registration or authentication step has been rendered. Completes the step with
+     * `ForgeRockEmbeddedLogin.WebAuthn.handleStep`, which calls `navigator.credentials.create` or
+     * `navigator.credentials.get` with the options decoded from the step, and stores the outcome in the
+     * "webAuthnOutcome" HiddenValueCallback; the outcome is then submitted with `submitCallbacks`.
+     * When the browser doesn't support WebAuthn, or the user cancels, the `webAuthnErrorHandler` is
+     * called with (errorType, error, type) arguments; the outcome is still submitted, so that the
+     * tree can follow its failure outcomes.
+     */
+    embeddedLogin.prototype.handleWebAuthn = function () {
+        return webauthn.handleStep(this.journey,
+            this.webAuthnErrorHandler && ((errorType, error, type) => this.webAuthnErrorHandler(errorType, error, type)),
+            () => this.submitCallbacks())
+            .catch((error) => this.handleSubmitError(error));
+    };
+
+    /** @function handleSessionWarning
+     * @param {string} type - "idle" or "max"
+     * @param {Date} expiresAt - when the session expires
+     *
+     * Called, while the session is watched, `sessionWarningTime` milliseconds before it expires. Emits a
+     * "sessionWarning" event with the `expiry` type and `expiresAt`, then calls the `sessionWarningHandler`.
+     */
+    embeddedLogin.prototype.handleSessionWarning = function (type, expiresAt) {
+        this.journey.emit("sessionWarning", { expiry: type, expiresAt });
+        if (this.sessionWarningHandler) {
+            this.sessionWarningHandler(type, expiresAt);
+        }
+        return this;
+    };
+
+    /** @function handleSessionExpired
+     * @param {string} type - "idle" or "max"
+     *
+     * Called, while the session is watched, once it has expired. Emits a "sessionExpired" event with the
+     * `expiry` type, then calls the `sessionExpiredHandler`.
+     */
+    embeddedLogin.prototype.handleSessionExpired = function (type) {
+        this.journey.emit("sessionExpired", { expiry: type });
+        if (this.sessionExpiredHandler) {
+            this.sessionExpiredHandler(type);
+        }
+        return this;
+    };
+
+    /** @function handlePollingTimeout
+     * Called when polling has exceeded either `pollingMaxAttempts` or `pollingTimeout`.
+     * The default implementation calls the `pollingTimeoutHandler`, falling back to the
+     * `failureHandler` if none was supplied.
+     */
+    embeddedLogin.prototype.handlePollingTimeout = function () {
+        if (this.pollingTimeoutHandler) {
+            this.pollingTimeoutHandler();
+        } else if (this.failureHandler) {
+            this.failureHandler();
+        }
+        return this;
+    };
+
+    /** @function handleBusy
+     * @param {boolean} busy - true when the form starts being submitted, false once the response has arrived
+     *
+     * The default implementation marks the `loginElement` with `aria-busy` and disables the fields of the
+     * form while it is being submitted (so that it can't be submitted twice), dispatches a "forgerock-loading"
+     * or "forgerock-loaded" DOM event from the `loginElement`, and calls the `loadingHandler`.
+     */
+    embeddedLogin.prototype.handleBusy = function (busy) {
+        let form = this.loginElement && this.loginElement.getElementsByTagName("form")[0];
+        if (this.loginElement) {
+            if (busy) {
+                this.loginElement.setAttribute("aria-busy", "true");
+            } else {
+                this.loginElement.removeAttribute("aria-busy");
+            }
+            if (typeof CustomEvent === "function") {
+                this.loginElement.dispatchEvent(new CustomEvent(busy ? "forgerock-loading" : "forgerock-loaded", { bubbles: true }));
+            }
+        }
+        if (form) {
+            // only the fields disabled here are enabled again afterwards
+            Array.prototype.forEach.call(form.elements, (field) => {
+                if (busy && !field.disabled) {
+                    field.disabled = true;
+                    field.setAttribute("data-busy", "");
+                } else if (!busy && field.hasAttribute("data-busy")) {
+                    field.disabled = false;
+                    field.removeAttribute("data-busy");
+                }
+            });
+        }
+        if (this.loadingHandler) {
+            this.loadingHandler(busy);
+        }
+        return this;
+    };
+
+    /** @function isBusy
+     * @returns {boolean} - true while the form is being submitted
+     */
+    embeddedLogin.prototype.isBusy = function () {
+        return this.journey.isBusy();
+    };
+
+    /** @function destroy
+     * Tears down the instance, such as when the application navigates away from the login page. Requests in
+     * flight are aborted, polling and the timers watching the session and refreshing tokens are stopped,
+     * the form is removed and the original content of the `loginElement` is put back. None of the handlers
+     * are called afterwards.
+     */
+    embeddedLogin.prototype.destroy = function () {
+        this.destroyed = true;
+        this.journey.destroy();
+        this.session.unwatch();
+        if (this.oauth) {
+            this.oauth.clearRefreshTimer();
+        }
+        if (this.loginElement) {
+            let form = this.loginElement.getElementsByTagName("form")[0];
+            if (form) {
+                form.onsubmit = null;
+                form.onclick = null;
+            }
+            while (this.loginElement.firstChild) {
+                this.loginElement.removeChild(this.loginElement.firstChild);
+            }
+            this.originalContent.forEach((node) => this.loginElement.appendChild(node));
+            this.loginElement.removeAttribute("aria-busy");
+        }
+        this.liveRegion = null;
+        return this;
+    };
+
+    /** @function handleError
+     * @param {JourneyError} error - the problem encountered while communicating with the authentication API
+     *
+     * Called by the journey whenever a request cannot advance the journey, when an `errorHandler` was supplied.
+     * The error's `type` is one of the constants defined on `ForgeRockEmbeddedLogin.JourneyError` (NETWORK,
+     * TIMEOUT, SERVER, SESSION_EXPIRED or MALFORMED_RESPONSE).
+     */
+    embeddedLogin.prototype.handleError = function (error) {
+        if (this.errorHandler) {
+            this.errorHandler(error);
+        }
+        return this;
+    };
+
+    /** @function handleSubmitError
+     * @param {Error} error - the reason the submission failed
+     *
+     * Called when a submission which nothing else is waiting upon fails: one made by the form, by polling, or
+     * after a WebAuthn step; or when a step cannot be rendered; or when the session cannot be watched, or the tokens
+     * obtained or revoked. The error is passed to `handleError` when there is an `errorHandler`; otherwise the failure
+     * is announced and the `failureHandler` is called with the error, so that the user isn't left waiting.
+     */
+    embeddedLogin.prototype.handleSubmitError = function (error) {
+        if (this.destroyed) {
+            return this;
+        }
+        if (this.errorHandler) {
+            this.handleError(error);
+        } else {
+            this.announce(this.translate("LOGIN_FAILURE"));
+            if (this.failureHandler) {
+                this.failureHandler(error);
+            }
+        }
+        return this;
     };
 
     /** @function success
      * How to determine if the authentication has succeeded. Unlikely to need to be overridden.
      */
     embeddedLogin.prototype.success = function () {
-        return !!this.currentCallbacks.tokenId;
+        return this.journey.success();
     };
 
     /** @function failure
      * How to determine if the authentication has failed. Unlikely to need to be overridden.
      */
     embeddedLogin.prototype.failure = function () {
-        return typeof this.currentCallbacks.authId === "undefined" &&
-            this.currentCallbacks.code === 401;
+        return this.journey.failure();
     };
 
     /** @function renderHandler
      * Binds the content produced from renderAllCallbacks to the DOM. The default implementation
-     * merely sets the innerHTML and attaches an onsubmit handler to the form within the content.
+     * replaces the content of the `loginElement` (keeping the live region used by `announce`), attaches
+     * an onsubmit handler to the form within the content and then, for a new step or one which failed validation,
+     * moves the focus with `focusFirstField`.
      *
      * You may want to override this if you want more control over how the fields are inserted into
      * the DOM. Be sure to set the onsubmit handler for the form to call out to `handleLoginSubmit`
@@ -90,14 +644,75 @@
      */
     embeddedLogin.prototype.renderHandler = function (loginContent) {
         if (this.loginElement) {
-            // clear the content from this.loginElement
-            let cNode = this.loginElement.cloneNode(false);
-            this.loginElement.parentNode.replaceChild(cNode, this.loginElement);
-            this.loginElement = cNode;
-            this.loginElement.appendChild(loginContent);
+            let liveRegion = this.getLiveRegion();
+            // clear the content from this.loginElement, in place, so that the live region remains
+            Array.prototype.slice.call(this.loginElement.childNodes)
+                .filter((node) => node !== liveRegion)
+                .forEach((node) => this.loginElement.removeChild(node));
+            this.loginElement.insertBefore(loginContent, liveRegion);
+            liveRegion.textContent = "";
 
             let form = this.loginElement.getElementsByTagName("form")[0];
             form.onsubmit = this.handleLoginSubmit.bind(this);
+            // kept for the browsers which don't report the `submitter` of the submit event
+            form.onclick = (event) => {
+                let button = event.target.closest && event.target.closest("button, input[type=submit], input[type=image]");
+                this.lastSubmitter = button && button.form === form ? button : null;
+            };
+            if (this.focusPending) {
+                this.focusPending = false;
+                this.focusFirstField();
+            }
+        }
+        return this;
+    };
+
+    /** @function focusFirstField
+     * Called after each new step is rendered, or a step is rendered again because it failed validation,
+     * so that keyboard and screen reader users start from the new content. Steps rendered again for other
+     * reasons (such as by polling, or `setLocale`) leave the focus alone. The first field marked as invalid is focused when there is one; otherwise the first field
+     * (or button) of the form.
+     */
+    embeddedLogin.prototype.focusFirstField = function () {
+        let form = this.loginElement && this.loginElement.getElementsByTagName("form")[0],
+            field = form && (form.querySelector("[aria-invalid=true]") ||
+                Array.prototype.filter.call(form.querySelectorAll("input, select, textarea, button"),
+                    (el) => el.type !== "hidden" && !el.disabled)[0]);
+        if (field) {
+            field.focus();
+        }
+        return this;
+    };
+
+    /** @function getLiveRegion
+     * @returns {Object} - the visually hidden `aria-live` region within the `loginElement` used by `announce`.
+     *  It is created (or put back, if the `loginElement` has been cleared) as needed.
+     */
+    embeddedLogin.prototype.getLiveRegion = function () {
+        if (!this.liveRegion) {
+            this.liveRegion = createElement("div", {
+                class: "live-region",
+                role: "status",
+                "aria-live": "polite",
+                "aria-atomic": "true",
+                style: VISUALLY_HIDDEN
+            });
+        }
+        if (this.loginElement && this.liveRegion.parentNode !== this.loginElement) {
+            this.loginElement.appendChild(this.liveRegion);
+        }
+        return this.liveRegion;
+    };
+
+    /** @function announce
+     * @param {string} message - text for screen readers to announce
+     *
+     * Used for the messages which are not otherwise part of the rendered content, such as the reason
+     * for an authentication failure.
+     */
+    embeddedLogin.prototype.announce = function (message) {
+        if (this.loginElement) {
+            this.getLiveRegion().textContent = message;
         }
         return this;
     };
@@ -111,8 +726,11 @@
      * ConfirmationCallback.
      */
     embeddedLogin.prototype.renderAllCallbacks = function () {
-        var needsLoginButton = !this.currentCallbacks.callbacks.reduce((result, callback) =>
-                result || ["ConfirmationCallback","PollingWaitCallback","RedirectCallback"].indexOf(callback.type) !== -1,
+        // WebAuthn steps are submitted automatically, by handleWebAuthn
+        var needsLoginButton = !this.webAuthnStepType && !this.currentCallbacks.callbacks.reduce((result, callback) =>
+                result || ["ConfirmationCallback","PollingWaitCallback","RedirectCallback"].indexOf(callback.type) !== -1 ||
+                    // without the option of local authentication, a provider must be chosen
+                    (callback.type === "SelectIdPCallback" && !selectIdPAllowsLocal(callback)),
             false),
             loginCallback = {
                 input: {
@@ -127,66 +745,177 @@
                 type: "ConfirmationCallback"
             };
 
-        return Promise.all(
-            (needsLoginButton ? this.currentCallbacks.callbacks.concat(loginCallback) : this.currentCallbacks.callbacks)
-                .map((callback, index) => this.renderCallback(callback, index))
-        )
-            .then(this.joinRenderedCallbacks);
+        let callbacks = needsLoginButton ? this.currentCallbacks.callbacks.concat(loginCallback) : this.currentCallbacks.callbacks;
+
+        return Promise.all(callbacks.map((callback, index) => this.renderCallback(callback, index)))
+            .then((renderedCallbacks) => this.joinRenderedCallbacks(renderedCallbacks, callbacks));
     };
 
     /** @function getLoginButtonText
-     * Provides a default English-language option for the login button produced by the
-     * `renderAllCallbacks` function. You may want to override this function if you want
-     * to have support for internationalization.
+     * Provides the text of the login button produced by the `renderAllCallbacks` function,
+     * from the "LOGIN_BUTTON" message of the current locale.
      */
     embeddedLogin.prototype.getLoginButtonText = function () {
-        return "Login";
+        return this.translate("LOGIN_BUTTON");
     };
 
-    /** @function handleLoginSubmit
-     * The default function supplied as the "onsubmit" handler for the input form. Assumes
-     * the input fields are named like so:
-     * callback_0
-     * callback_1
-     * etc...
+    /** @function translate
+     * @param {string} key - the key of a message produced by the client, e.g. "LOGIN_BUTTON"
+     * @param {Object} [params] - values for the placeholders within the message
+     * @returns {string} - the message, in the current locale
      *
-     * Maps the value from those inputs into the `currentCallbacks` structure last fetched.
+     * Used for all of the text rendered by default that isn't supplied by AM.
+     */
+    embeddedLogin.prototype.translate = function (key, params) {
+        return this.journey.translate(key, params);
+    };
+
+    /** @function setLocale
+     * @param {string} [locale] - the locale to use from now on (e.g. "ar"); when omitted, the browser's preferences are used
      *
-     * You will need to override this if the naming convention for your inputs is different.
+     * The current step is rendered again, so that the messages produced by the client (and the direction
+     * of the text) change straight away, keeping the values already entered. The text supplied by AM changes
+     * with the next step.
+     */
+    embeddedLogin.prototype.setLocale = function (locale) {
+        let form = this.loginElement && this.loginElement.getElementsByTagName("form")[0];
+        this.journey.setLocale(locale);
+        // WebAuthn steps are already being completed, and there is nothing to render for them
+        if (this.currentCallbacks.callbacks && !this.webAuthnStepType) {
+            if (form) {
+                this.readFormValues(form);
+            }
+            if (Object.keys(this.validationErrors).length) {
+                this.validationErrors = this.journey.validate();
+            }
+            this.handleCallbackResponse(this.journey.getStep());
+        }
+        return this;
+    };
+
+    /** @function handleLoginSubmit
+     * The default function supplied as the "onsubmit" handler for the input form. The values entered into the
+     * form are mapped into the `currentCallbacks` structure last fetched by `readFormValues`. If the checks made
+     * by the journey's `validate` function fail, the form is rendered again with the problems found, rather than
+     * being submitted. Any pending polling resubmission is cancelled, since the user has taken over. The form is
+     * ignored if it is submitted again while the previous submission is still in progress.
+     *
+     * It is unlikely that you will need to override this; if your inputs are named differently, or hold their
+     * values in some other way, use `registerValueExtractor` instead.
      */
     embeddedLogin.prototype.handleLoginSubmit = function (event) {
+        let submitter = event.submitter || this.lastSubmitter;
         event.preventDefault();
-        for (var entry of (new FormData(event.currentTarget))) {
-            let callback_entry = entry[0].match(/^callback_(\d+)$/);
-            if (callback_entry) {
-                this.currentCallbacks.callbacks[parseInt(callback_entry[1], 10)].input[0].value = entry[1];
-            }
+        this.lastSubmitter = null;
+        // ignore the form being submitted again (such as by pressing Enter twice) before the response arrives
+        if (this.isBusy()) {
+            return Promise.resolve(this);
+        }
+        this.journey.clearPollingTimer();
+        this.readFormValues(event.currentTarget, submitter);
+
+        this.validationErrors = this.journey.validate();
+        if (Object.keys(this.validationErrors).length) {
+            this.focusPending = true;
+            this.handleCallbackResponse(this.journey.getStep());
+            return Promise.resolve(this);
         }
-        return this.submitCallbacks();
+        return this.submitCallbacks().catch((error) => this.handleSubmitError(error));
+    };
+
+    /** @function readFormValues
+     * @param {Object} form - the form being submitted
+     * @param {Object} [submitter] - the button used to submit the form, if any
+     *
+     * Sets the value of every input of the current callbacks from the form, using the extractor registered for
+     * the type of each callback (see `registerValueExtractor`). By default, the inputs of callback N are read
+     * from the fields named `callback_N` (or `callback_N_0`, `callback_N_1`, etc... for callbacks with more than
+     * one input, such as KbaCreateCallback), or named after the input itself (e.g. "IDToken1"). The values are
+     * then converted to the types AM expects: the indexes of ChoiceCallbacks and ConfirmationCallbacks, and
+     * number fields, become numbers; checkboxes become booleans; and multiple selections become lists. If the
+     * form was submitted by one of the ConfirmationCallback options, the index of that option is recorded as
+     * the value of the ConfirmationCallback. Likewise, the value of any other button used to submit the form
+     * (such as a SelectIdPCallback provider) is recorded.
+     */
+    embeddedLogin.prototype.readFormValues = function (form, submitter) {
+        let values = inputs.readForm(form, this.currentCallbacks.callbacks, {
+            extractors: this.valueExtractors,
+            submitter
+        });
+        Object.keys(values).forEach((index) => {
+            values[index].forEach((value, inputIndex) => {
+                if (value !== undefined) {
+                    this.journey.setInputValue(index, value, inputIndex);
+                }
+            });
+        });
+        return this;
+    };
+
+    /** @function registerValueExtractor
+     * @param {string} type - the type of callback, e.g. "ChoiceCallback"
+     * @param {function} extractor - Function to call with (callback, index, form, submitter) when the form is submitted.
+     *  Returns the value of each of the callback's inputs, in order (a list with one entry per input); an undefined
+     *  value leaves that input unchanged. Values are converted to the types AM expects afterwards, so they may be
+     *  returned as strings.
+     *
+     * Use this along with your own renderer for a callback, so that its values are read however they are held
+     * in your markup. `ForgeRockEmbeddedLogin.Inputs.defaultExtractor` can be called for the inputs you
+     * don't need to handle yourself.
+     */
+    embeddedLogin.prototype.registerValueExtractor = function (type, extractor) {
+        this.valueExtractors[type] = extractor;
+        return this;
+    };
+
+    /** @function on
+     * @param {string} type - the type of event, or "*" for every event
+     * @param {function} listener - Function to call with (event) for every event of the type
+     *
+     * Observes the progress of the journey, such as for analytics. Besides the events emitted by the journey
+     * ("start", "submit", "poll", "response", "step", "success", "failure", "error" and "destroy"; see
+     * `ForgeRockJourney.on`), "render" is emitted with the `header`, `stage`, `template` and `callbackTypes` of each
+     * step once it has been rendered, and "redirect" with the `url` and `method` when the user is sent elsewhere by a
+     * RedirectCallback. The details of the events never include passwords, tokens or the like.
+     */
+    embeddedLogin.prototype.on = function (type, listener) {
+        this.journey.on(type, listener);
+        return this;
+    };
+
+    /** @function off
+     * @param {string} [type] - the type of event; when omitted, every listener is removed
+     * @param {function} [listener] - the listener to remove; when omitted, every listener for the type is removed
+     */
+    embeddedLogin.prototype.off = function (type, listener) {
+        this.journey.off(type, listener);
+        return this;
+    };
+
+    /** @function getMetrics
+     * @returns {Object} - the summary of the current (or most recent) journey, or null if neither the `metrics` nor the
+     *  `metricsHandler` option was supplied; see `ForgeRockMetrics`
+     */
+    embeddedLogin.prototype.getMetrics = function () {
+        return this.journey.getMetrics();
+    };
+
+    /** @function use
+     * @param {function} middleware - Function to call with (req, next) for every request made to AM from now on.
+     *  req is { url, options, context }; see `ForgeRockRequest`
+     */
+    embeddedLogin.prototype.use = function (middleware) {
+        this.journey.use(middleware);
+        return this;
     };
 
     /** @function submitCallbacks
      * This function is similar to `startLogin`, except it supplies the gathered
      * inputs captured in the `currentCallbacks` data. It makes XHR calls to the
-     * `authenticateUrl` and uses `handleCallbackResponse` afterwards.
+     * `authenticateUrl` via the journey, which uses `handleCallbackResponse` afterwards.
      */
     embeddedLogin.prototype.submitCallbacks = function () {
-        return fetch(this.authenticateUrl, {
-            mode: "cors",
-            method: "POST",
-            credentials: "include",
-            headers: {
-                "accept-api-version": "protocol=1.0,resource=2.1",
-                "content-type": "application/json"
-            },
-            body: JSON.stringify(this.currentCallbacks)
-        })
-            .then((resp) => resp.json())
-            .then((jsonResp) => {
-                this.currentCallbacks = jsonResp;
-                return this.currentCallbacks;
-            })
-            .then(() => this.handleCallbackResponse());
+        return this.journey.submit().then(() => this);
     };
 
     /** @function renderCallback
@@ -195,16 +924,19 @@
      * logic included within this function should be generally-applicable.
      */
     embeddedLogin.prototype.renderCallback = function (callback, index) {
-        let prompt = "",
-            promptOutput = findName(callback.output, "prompt");
-        if (promptOutput && promptOutput.value && promptOutput.value.length) {
-            prompt = promptOutput.value.replace(/:$/, "");
-        }
+        let normalized = this.journey.normalizeCallback(callback, index),
+            prompt = normalized.prompt,
+            validation = {
+                required: normalized.required,
+                requirements: normalized.policies.map((policy) => policy.message),
+                errors: normalized.failedPolicies.map((policy) => policy.message)
+                    .concat(this.validationErrors[index] || [])
+            };
 
         switch (callback.type) {
-        case "NameCallback": return this.renderNameCallback(callback, index, prompt);
-        case "PasswordCallback": return this.renderPasswordCallback(callback, index, prompt);
-        case "TextInputCallback": return this.renderTextInputCallback(callback, index, prompt);
+        case "NameCallback": return this.renderNameCallback(callback, index, prompt, validation);
+        case "PasswordCallback": return this.renderPasswordCallback(callback, index, prompt, validation);
+        case "TextInputCallback": return this.renderTextInputCallback(callback, index, prompt, validation);
         case "TextOutputCallback":
             var type = findName(callback.output, "messageType"),
                 message = findName(callback.output, "message"),
@@ -216,7 +948,8 @@
 
             // Magic number 4 is for a <script>, taken from ScriptTextOutputCallback.java
             if (type.value === "4") {
-                return this.renderTextOutputScript(index, message.value);
+                // the scripts sent for WebAuthn steps are replaced by handleWebAuthn
+                return this.webAuthnStepType ? Promise.resolve([]) : this.renderTextOutputScript(index, message.value);
             } else {
                 return this.renderTextOutputMessage(index, message.value, messageTypeMap[type.value]);
             }
@@ -240,108 +973,147 @@
             var choiceOutput = findName(callback.output, "choices");
             if (choiceOutput && choiceOutput.value !== undefined) {
                 let choices = choiceOutput.value.map((option, key) => ({
-                    active: callback.input.value === key,
+                    active: callback.input[0].value === key,
                     key,
                     value: option
                 }));
-                return this.renderChoiceCallback(callback, index, prompt, choices);
+                return this.renderChoiceCallback(callback, index, prompt, choices, validation);
             } else {
                 return Promise.all([]);
             }
         case "HiddenValueCallback": return this.renderHiddenValueCallback(callback, index);
+        // MetadataCallbacks only carry data for the client (such as WebAuthn options); there is nothing to display
+        case "MetadataCallback": return Promise.resolve([]);
         case "RedirectCallback":
-            var redirectUrl = findName(callback.output, "redirectUrl");
-            var redirectMethod = findName(callback.output, "redirectMethod");
             var redirectData = findName(callback.output, "redirectData");
-
-            var form = document.createElement("form");
-            form.action = redirectUrl.value;
-            form.method = redirectMethod.value;
-            if (redirectData && redirectData.value) {
-                redirectData.value.forEach((v, k) => {
-                    let input = document.createElement("input");
-                    input.type = "hidden";
-                    input.name = k;
-                    input.value = v;
-                    form.appendChild(input);
-                });
-            }
-            document.getElementsByTagName("body")[0].appendChild(form);
-            form.submit();
-            // no return from here, expectation is the page transitions to the redirectUrl
-            break;
+            return this.handleRedirect(
+                findName(callback.output, "redirectUrl").value,
+                (findName(callback.output, "redirectMethod") || { value: "GET" }).value,
+                (redirectData && redirectData.value) || {}
+            );
+        case "SelectIdPCallback":
+            var providers = findName(callback.output, "providers");
+            return this.renderSelectIdPCallback(callback, index, ((providers && providers.value) || []).map((provider) => ({
+                provider: provider.provider,
+                displayName: (provider.uiConfig && provider.uiConfig.buttonDisplayName) || provider.provider,
+                icon: provider.uiConfig && provider.uiConfig.buttonImage
+            })));
         case "PollingWaitCallback":
-            var pollingWaitTimeoutMs = findName(callback.output, "waitTime").value;
-
-            setTimeout(() => {
-                this.pollingInProgress = true;
-                // figure out how to handle this later
-            }, pollingWaitTimeoutMs);
+            // resubmission is scheduled by handlePolling; this only renders the wait message
             return this.renderPollingWaitCallback(callback, index, findName(callback.output, "message").value);
-        default: return this.renderUnknownCallback(callback, index, prompt);
+        case "StringAttributeInputCallback": return this.renderStringAttributeInputCallback(callback, index, prompt, validation);
+        case "NumberAttributeInputCallback": return this.renderNumberAttributeInputCallback(callback, index, prompt, validation);
+        case "BooleanAttributeInputCallback": return this.renderBooleanAttributeInputCallback(callback, index, prompt, validation);
+        case "ValidatedCreateUsernameCallback": return this.renderValidatedCreateUsernameCallback(callback, index, prompt, validation);
+        case "ValidatedCreatePasswordCallback": return this.renderValidatedCreatePasswordCallback(callback, index, prompt, validation);
+        case "KbaCreateCallback":
+            return this.renderKbaCreateCallback(callback, index, prompt, normalized.output.predefinedQuestions || [], validation);
+        case "TermsAndConditionsCallback":
+            return this.renderTermsAndConditionsCallback(callback, index, normalized.output.terms, validation);
+        case "ConsentMappingCallback": return this.renderConsentMappingCallback(callback, index, normalized.output, validation);
+        default: return this.renderUnknownCallback(callback, index, prompt, validation);
         }
     };
 
     /** @function joinRenderedCallbacks
      * @param {Array} renderedCallbacks - Array of resolved values which have been produced by the `renderCallback` method
+     * @param {Array} [callbacks] - the callbacks which were rendered, in the same order (including any login button added)
      * @returns {Promise} - resolved when the full content of the form to render is available. Promise is resolved with DOM Node representing the complete login form
      *
-     * It is expected that this function will be overridden. The default implementation is very simple, and merely adds
-     * <form> tags around the callbacks, along with breaks between them. If you want more sophisticated markup around your
-     * input controls, you can provide it here.
-     */
-    embeddedLogin.prototype.joinRenderedCallbacks = function (renderedCallbacks) {
-        let form = document.createElement("form");
-        renderedCallbacks
-            // flatten callback results
-            .reduce((result, item) => result.concat(item), [])
-            .forEach((callback) => {
-                form.appendChild(callback);
-                form.appendChild(document.createElement("br"));
-            });
-        return Promise.resolve(form);
+     * Places the rendered callbacks within a <form>, arranged by the layout registered for the step (see `registerLayout`).
+     * When no layout matches, the callbacks are simply placed one after another, with breaks between them. The form is
+     * given the `lang` of the current locale, and `dir="rtl"` for locales written from right to left. You may override
+     * this function if you want complete control over the markup around your input controls.
+     */
+    embeddedLogin.prototype.joinRenderedCallbacks = function (renderedCallbacks, callbacks) {
+        let i18n = this.journey.i18n,
+            // the problems found by `validate` are displayed (and announced) in place of the browser's own messages
+            form = createElement("form", { novalidate: true, lang: i18n.getLocale(), dir: i18n.isRtl() ? "rtl" : "ltr" }),
+            parts = layouts.getParts(renderedCallbacks, callbacks || this.currentCallbacks.callbacks, this.currentCallbacks),
+            layout = layouts.find(this.layoutRegistry, this.currentCallbacks) || defaultLayout;
+
+        return Promise.resolve(layout.call(this, parts)).then((content) => {
+            [].concat(content === undefined || content === null ? [] : content).forEach((node) => form.appendChild(node));
+            return form;
+        });
+    };
+
+    /** @function registerLayout
+     * @param {string} kind - what the layout is chosen by: "stage", "template", "signature" or "default"
+     * @param {string|Array} [key] - the `stage` or `template` name AM returns with the step, or for a signature, the
+     *  types of the callbacks of the step, in order (e.g. `["NameCallback", "PasswordCallback"]`). Omitted for the default layout.
+     * @param {function} layout - Function to call with (parts) to arrange the rendered callbacks of a matching step. The
+     *  parts include the `header`, `stage` and `template` of the step, the rendered `callbacks` by position (each with its
+     *  `type`, `index`, `role` and DOM `nodes`), and the nodes of each role ("input", "message", "action" and "hidden")
+     *  as `roles`. Returns the DOM node (or list of them, or a Promise resolved with either) to place within the form.
+     *
+     * A layout registered for the stage of a step is used before one for its template, which is used before one for
+     * its signature; the default layout is used for any other step. The callbacks themselves are still rendered by
+     * the `render*Callback` functions.
+     */
+    embeddedLogin.prototype.registerLayout = function (kind, key, layout) {
+        layouts.register(this.layoutRegistry, kind, key, layout);
+        return this;
     };
 
     /** @function renderNameCallback
      * @param {Object} callback - structure of data returned from authentication API for this specific callback type
      * @param {number} index - ordinal position of this callback relative to others
      * @param {string} prompt - Text to present to the user describing the callback
+     * @param {Object} validation - the `required` flag, policy `requirements` and validation `errors` of the callback
      * @returns {Promise} - resolved when the full content of this callback is available. Expected to be resolved with a DOM node
      *
-     * It is expected that this function will be overridden. The default implementation is a very simple text input field.
+     * It is expected that this function will be overridden. The default implementation is a very simple labelled text input field.
      */
-    embeddedLogin.prototype.renderNameCallback = function (callback, index, prompt) {
-        let el = document.createElement("div");
-        el.innerHTML = `<input type="text" name="callback_${index}" value="${callback.input[0].value}" placeholder="${prompt}">`;
-        return Promise.resolve(el.firstElementChild);
+    embeddedLogin.prototype.renderNameCallback = function (callback, index, prompt, validation) {
+        return Promise.resolve(createElement("div", { class: callback.type }, [
+            labelFor(`callback_${index}`, prompt),
+            createElement("input", Object.assign(fieldAttributes(index, validation), {
+                type: "text",
+                name: `callback_${index}`,
+                value: callback.input[0].value,
+                autocomplete: "username"
+            }))
+        ].concat(this.renderValidationMessages(index, validation))));
     };
 
     /** @function renderPasswordCallback
      * @param {Object} callback - structure of data returned from authentication API for this specific callback type
      * @param {number} index - ordinal position of this callback relative to others
      * @param {string} prompt - Text to present to the user describing the callback
+     * @param {Object} validation - the `required` flag, policy `requirements` and validation `errors` of the callback
      * @returns {Promise} - resolved when the full content of this callback is available. Expected to be resolved with a DOM node
      *
-     * It is expected that this function will be overridden. The default implementation is a very simple password input field.
+     * It is expected that this function will be overridden. The default implementation is a very simple labelled password input field.
+     * The field is marked for a one-time code rather than the current password when the prompt asks for one (e.g. "One Time Password").
      */
-    embeddedLogin.prototype.renderPasswordCallback = function (callback, index, prompt) {
-        let el = document.createElement("div");
-        el.innerHTML = `<input type="password" name="callback_${index}" value="${callback.input[0].value}" placeholder="${prompt}">`;
-        return Promise.resolve(el.firstElementChild);
+    embeddedLogin.prototype.renderPasswordCallback = function (callback, index, prompt, validation) {
+        return Promise.resolve(createElement("div", { class: callback.type }, [
+            labelFor(`callback_${index}`, prompt),
+            createElement("input", Object.assign(fieldAttributes(index, validation), {
+                type: "password",
+                name: `callback_${index}`,
+                value: callback.input[0].value,
+                autocomplete: /one.?time|\botp\b|passcode|verification code/i.test(prompt) ? "one-time-code" : "current-password"
+            }))
+        ].concat(this.renderValidationMessages(index, validation))));
     };
 
     /** @function renderTextInputCallback
      * @param {Object} callback - structure of data returned from authentication API for this specific callback type
      * @param {number} index - ordinal position of this callback relative to others
      * @param {string} prompt - Text to present to the user describing the callback
+     * @param {Object} validation - the `required` flag, policy `requirements` and validation `errors` of the callback
      * @returns {Promise} - resolved when the full content of this callback is available. Expected to be resolved with a DOM node
      *
-     * It is expected that this function will be overridden. The default implementation is a very simple textarea input field.
+     * It is expected that this function will be overridden. The default implementation is a very simple labelled textarea input field.
      */
-    embeddedLogin.prototype.renderTextInputCallback = function (callback, index, prompt) {
-        let el = document.createElement("div");
-        el.innerHTML = `<textarea name="callback_${index}">${callback.input[0].value}</textarea>`;
-        return Promise.resolve(el.firstElementChild);
+    embeddedLogin.prototype.renderTextInputCallback = function (callback, index, prompt, validation) {
+        return Promise.resolve(createElement("div", { class: callback.type }, [
+            labelFor(`callback_${index}`, prompt),
+            createElement("textarea", Object.assign(fieldAttributes(index, validation), { name: `callback_${index}` }),
+                callback.input[0].value)
+        ].concat(this.renderValidationMessages(index, validation))));
     };
 
     /** @function renderTextOutputScript
@@ -350,15 +1122,43 @@
      * @returns {Promise} - resolved when the full content of this callback is available. Expected to be resolved with a DOM node
      *
      * This is the special-case of a "TextOutputCallback" that is of type "4" - indicating a script.
-     * This adds client-side JavaScript code to execute in the browser. You shouldn't have
-     * to override this under normal circumstances.
+     * Scripts are never executed by default. The `scriptHandler` (if supplied) is given the first
+     * opportunity to deal with the script. Otherwise, the script is only added as client-side
+     * JavaScript code to execute in the browser when `allowScripts` is set and the script is
+     * permitted by `scriptAllowlist`; it is given the `scriptNonce`, so that it can run under a
+     * Content-Security-Policy which does not allow 'unsafe-inline'.
      */
     embeddedLogin.prototype.renderTextOutputScript = function (index, messageValue) {
-        let el = document.createElement("script");
-        el.innerHTML = messageValue;
+        if (this.scriptHandler) {
+            let handled = this.scriptHandler(messageValue, index);
+            if (handled !== undefined) {
+                return Promise.resolve(handled).then((result) => typeof result === "object" && result ? result : []);
+            }
+        }
+        if (!this.isScriptAllowed(messageValue)) {
+            return Promise.resolve([]);
+        }
+        let el = createElement("script", { nonce: this.scriptNonce });
+        el.text = messageValue;
         return Promise.resolve(el);
     };
 
+    /** @function isScriptAllowed
+     * @param {string} messageValue - Script which has been supplied by a TextOutputCallback
+     * @returns {boolean} - true if the script may be executed, according to the `allowScripts` and `scriptAllowlist` options
+     */
+    embeddedLogin.prototype.isScriptAllowed = function (messageValue) {
+        if (!this.allowScripts) {
+            return false;
+        }
+        if (!this.scriptAllowlist) {
+            return true;
+        }
+        return this.scriptAllowlist.some((allowed) =>
+            allowed instanceof RegExp ? allowed.test(messageValue) : allowed === messageValue
+        );
+    };
+
     /** @function renderTextOutputMessage
      * @param {number} index - ordinal position of this callback relative to others
      * @param {string} messageValue - Script to be executed
@@ -366,12 +1166,15 @@
      * @returns {Promise} - resolved when the full content of this callback is available. Expected to be resolved with a DOM node
      *
      * This is the general-case of a "TextOutputCallback".
-     * This outputs a non-interactive text message, of a particular type.
+     * This outputs a non-interactive text message, of a particular type. ERROR and WARNING messages are
+     * alerts, so they are announced immediately; INFORMATION messages are announced politely.
      */
     embeddedLogin.prototype.renderTextOutputMessage = function (index, messageValue, typeValue) {
-        let el = document.createElement("div");
-        el.innerHTML = `<div id="callback_${index}" class="${typeValue}">${messageValue}</div>`;
-        return Promise.resolve(el.firstElementChild);
+        return Promise.resolve(createElement("div", {
+            id: `callback_${index}`,
+            class: typeValue,
+            role: typeValue === "INFORMATION" ? "status" : "alert"
+        }, messageValue));
     };
 
     /** @function renderConfirmationCallbackOption
@@ -385,9 +1188,12 @@
      * the totality of which represents a single confirmation callback.
      */
     embeddedLogin.prototype.renderConfirmationCallbackOption = function (option, index, key, isDefault) {
-        let el = document.createElement("div");
-        el.innerHTML = `<input name="callback_${index}" type="submit" index="${key}" value="${option}">`;
-        return Promise.resolve(el.firstElementChild);
+        return Promise.resolve(createElement("input", {
+            name: `callback_${index}`,
+            type: "submit",
+            index: key,
+            value: option
+        }));
     };
 
     /** @function renderChoiceCallback
@@ -398,17 +1204,18 @@
      * @param {string} choices[].key - the value to be submitted for this callback if it is selected
      * @param {boolean} choices[].active - the default value to be selected
      * @param {string} choices[].value - the content to display to the user representing this choice
+     * @param {Object} validation - the `required` flag, policy `requirements` and validation `errors` of the callback
      * @returns {Promise} - resolved when the full content of this callback is available. Expected to be resolved with a DOM node
      *
      * This renders a set of choices, intended for the user to choose between.
      */
-    embeddedLogin.prototype.renderChoiceCallback = function (callback, index, prompt, choices) {
-        let el = document.createElement("div");
-        el.innerHTML = `<label for="callback_${index}" id="label_callback_${index}">${prompt}</label>
-            <select name="callback_${index}" id="callback_${index}">
-            ${choices.map((choice) => `<option value="${choice.key}" ${choice.active ? "selected" : ""}>${choice.value}</option>`)}
-            </select>`;
-        return Promise.resolve(el.firstElementChild);
+    embeddedLogin.prototype.renderChoiceCallback = function (callback, index, prompt, choices, validation) {
+        return Promise.resolve(createElement("div", {}, [
+            labelFor(`callback_${index}`, prompt),
+            createElement("select", Object.assign(fieldAttributes(index, validation), { name: `callback_${index}` }),
+                choices.map((choice) => createElement("option", { value: choice.key, selected: choice.active }, choice.value))
+            )
+        ].concat(this.renderValidationMessages(index, validation))));
     };
 
     /** @function renderHiddenValueCallback
@@ -419,9 +1226,15 @@
      * This includes a hidden value within the form.
      */
     embeddedLogin.prototype.renderHiddenValueCallback = function (callback, index) {
-        let el = document.createElement("div");
-        el.innerHTML = `<input type="hidden" id="${callback.input.value}" aria-hidden="true" name="callback_${index}" value="" />`;
-        return Promise.resolve(el.firstElementChild);
+        let id = findName(callback.output, "id"),
+            value = findName(callback.output, "value");
+        return Promise.resolve(createElement("input", {
+            type: "hidden",
+            id: id && id.value,
+            "aria-hidden": "true",
+            name: `callback_${index}`,
+            value: (value && value.value) || ""
+        }));
     };
 
     /** @function renderPollingWaitCallback
@@ -431,25 +1244,299 @@
      * @returns {Promise} - resolved when the full content of this callback is available. Expected to be resolved with a DOM node
      *
      * This displays text to the user while waiting for something to happen out-of-channel.
+     * The resubmission of the callbacks is handled separately, by `handlePolling`. If AM
+     * supplies a ConfirmationCallback alongside this one, it is rendered as the means to cancel.
      */
     embeddedLogin.prototype.renderPollingWaitCallback = function (callback, index, message) {
-        let el = document.createElement("div");
-        el.innerHTML = `<input type="hidden" id="${callback.input.value}" aria-hidden="true" name="callback_${index}" value="" />`;
-        return Promise.resolve(el.firstElementChild);
+        return Promise.resolve(createElement("div", { id: `callback_${index}`, class: "PollingWaitCallback", role: "status" }, message));
+    };
+
+    /** @function renderSelectIdPCallback
+     * @param {Object} callback - structure of data returned from authentication API for this specific callback type
+     * @param {number} index - ordinal position of this callback relative to others
+     * @param {Array} providers - the identity providers to choose between
+     * @param {string} providers[].provider - the value to be submitted for this callback if the provider is chosen
+     * @param {string} providers[].displayName - the name of the provider to present to the user
+     * @param {string} [providers[].icon] - URL of an image representing the provider
+     * @returns {Promise} - resolved when the full content of this callback is available. Expected to be resolved with a DOM node
+     *
+     * This renders a button for each social identity provider. When "localAuthentication" is one of the
+     * providers, it is chosen unless one of the buttons is pressed, so the other callbacks in the form can
+     * be used to log in locally.
+     */
+    embeddedLogin.prototype.renderSelectIdPCallback = function (callback, index, providers) {
+        let local = providers.some((provider) => provider.provider === "localAuthentication");
+        return Promise.resolve(createElement("div", { class: callback.type },
+            (local ? [createElement("input", { type: "hidden", name: `callback_${index}`, value: "localAuthentication" })] : [])
+                .concat(providers
+                    .filter((provider) => provider.provider !== "localAuthentication")
+                    .map((provider) => createElement("button", {
+                        type: "submit",
+                        name: `callback_${index}`,
+                        value: provider.provider,
+                        class: `provider provider-${provider.provider}`
+                    }, [
+                        provider.icon ? createElement("img", { src: provider.icon, alt: "" }) : "",
+                        provider.displayName
+                    ])))
+        ));
+    };
+
+    /** @function renderValidationMessages
+     * @param {number} index - ordinal position of the callback relative to others
+     * @param {Object} validation - the validation details of the callback
+     * @param {Array} validation.requirements - messages describing the policies the value must meet
+     * @param {Array} validation.errors - messages describing why the value was rejected, by either AM or the client
+     * @returns {Array} - DOM nodes to include after the input field(s) of the callback
+     *
+     * Produces the inline validation messages shared by the self-service callbacks. The requirements
+     * are only listed while there are no errors to show.
+     */
+    embeddedLogin.prototype.renderValidationMessages = function (index, validation) {
+        if (validation.errors.length) {
+            return [createElement("div", { id: `callback_${index}_errors`, class: "validation-errors", role: "alert" },
+                validation.errors.map((message) => createElement("div", { class: "ERROR" }, message))
+            )];
+        }
+        if (validation.requirements.length) {
+            return [createElement("ul", { id: `callback_${index}_requirements`, class: "policy-requirements" },
+                validation.requirements.map((message) => createElement("li", {}, message))
+            )];
+        }
+        return [];
+    };
+
+    /** @function renderStringAttributeInputCallback
+     * @param {Object} callback - structure of data returned from authentication API for this specific callback type
+     * @param {number} index - ordinal position of this callback relative to others
+     * @param {string} prompt - Text to present to the user describing the callback
+     * @param {Object} validation - the `required` flag, policy `requirements` and validation `errors` of the callback
+     * @returns {Promise} - resolved when the full content of this callback is available. Expected to be resolved with a DOM node
+     *
+     * Used to collect a string attribute of the user's profile, such as "mail" or "givenName".
+     */
+    embeddedLogin.prototype.renderStringAttributeInputCallback = function (callback, index, prompt, validation) {
+        let name = (findName(callback.output, "name") || {}).value;
+        return Promise.resolve(createElement("div", { class: callback.type }, [
+            labelFor(`callback_${index}`, prompt),
+            createElement("input", Object.assign(fieldAttributes(index, validation), {
+                type: name === "mail" ? "email" : (name === "telephoneNumber" ? "tel" : "text"),
+                name: `callback_${index}`,
+                value: callback.input[0].value,
+                autocomplete: ATTRIBUTE_AUTOCOMPLETE[name]
+            }))
+        ].concat(this.renderValidationMessages(index, validation))));
+    };
+
+    /** @function renderNumberAttributeInputCallback
+     * @param {Object} callback - structure of data returned from authentication API for this specific callback type
+     * @param {number} index - ordinal position of this callback relative to others
+     * @param {string} prompt - Text to present to the user describing the callback
+     * @param {Object} validation - the `required` flag, policy `requirements` and validation `errors` of the callback
+     * @returns {Promise} - resolved when the full content of this callback is available. Expected to be resolved with a DOM node
+     *
+     * Used to collect a numeric attribute of the user's profile.
+     */
+    embeddedLogin.prototype.renderNumberAttributeInputCallback = function (callback, index, prompt, validation) {
+        return Promise.resolve(createElement("div", { class: callback.type }, [
+            labelFor(`callback_${index}`, prompt),
+            createElement("input", Object.assign(fieldAttributes(index, validation), {
+                type: "number",
+                name: `callback_${index}`,
+                value: callback.input[0].value
+            }))
+        ].concat(this.renderValidationMessages(index, validation))));
+    };
+
+    /** @function renderBooleanAttributeInputCallback
+     * @param {Object} callback - structure of data returned from authentication API for this specific callback type
+     * @param {number} index - ordinal position of this callback relative to others
+     * @param {string} prompt - Text to present to the user describing the callback
+     * @param {Object} validation - the `required` flag, policy `requirements` and validation `errors` of the callback
+     * @returns {Promise} - resolved when the full content of this callback is available. Expected to be resolved with a DOM node
+     *
+     * Used to collect a boolean attribute of the user's profile, such as a marketing preference.
+     */
+    embeddedLogin.prototype.renderBooleanAttributeInputCallback = function (callback, index, prompt, validation) {
+        return Promise.resolve(createElement("div", { class: callback.type }, [
+            createElement("label", {}, [
+                createElement("input", Object.assign(fieldAttributes(index, validation), {
+                    type: "checkbox",
+                    name: `callback_${index}`,
+                    value: "true",
+                    checked: callback.input[0].value === true
+                })),
+                prompt
+            ])
+        ].concat(this.renderValidationMessages(index, validation))));
+    };
+
+    /** @function renderValidatedCreateUsernameCallback
+     * @param {Object} callback - structure of data returned from authentication API for this specific callback type
+     * @param {number} index - ordinal position of this callback relative to others
+     * @param {string} prompt - Text to present to the user describing the callback
+     * @param {Object} validation - the `required` flag, policy `requirements` and validation `errors` of the callback
+     * @returns {Promise} - resolved when the full content of this callback is available. Expected to be resolved with a DOM node
+     *
+     * Used to choose a new username, which is checked against the policies configured in AM.
+     */
+    embeddedLogin.prototype.renderValidatedCreateUsernameCallback = function (callback, index, prompt, validation) {
+        return Promise.resolve(createElement("div", { class: callback.type }, [
+            labelFor(`callback_${index}`, prompt),
+            createElement("input", Object.assign(fieldAttributes(index, validation), {
+                type: "text",
+                name: `callback_${index}`,
+                value: callback.input[0].value,
+                autocomplete: "username"
+            }))
+        ].concat(this.renderValidationMessages(index, validation))));
+    };
+
+    /** @function renderValidatedCreatePasswordCallback
+     * @param {Object} callback - structure of data returned from authentication API for this specific callback type
+     * @param {number} index - ordinal position of this callback relative to others
+     * @param {string} prompt - Text to present to the user describing the callback
+     * @param {Object} validation - the `required` flag, policy `requirements` and validation `errors` of the callback
+     * @returns {Promise} - resolved when the full content of this callback is available. Expected to be resolved with a DOM node
+     *
+     * Used to choose a new password, which is checked against the policies configured in AM.
+     */
+    embeddedLogin.prototype.renderValidatedCreatePasswordCallback = function (callback, index, prompt, validation) {
+        let echoOn = findName(callback.output, "echoOn");
+        return Promise.resolve(createElement("div", { class: callback.type }, [
+            labelFor(`callback_${index}`, prompt),
+            createElement("input", Object.assign(fieldAttributes(index, validation), {
+                type: echoOn && echoOn.value ? "text" : "password",
+                name: `callback_${index}`,
+                value: callback.input[0].value,
+                autocomplete: "new-password"
+            }))
+        ].concat(this.renderValidationMessages(index, validation))));
+    };
+
+    /** @function renderKbaCreateCallback
+     * @param {Object} callback - structure of data returned from authentication API for this specific callback type
+     * @param {number} index - ordinal position of this callback relative to others
+     * @param {string} prompt - Text to present to the user describing the callback
+     * @param {Array} questions - the predefined security questions to choose between
+     * @param {Object} validation - the `required` flag, policy `requirements` and validation `errors` of the callback
+     * @returns {Promise} - resolved when the full content of this callback is available. Expected to be resolved with a DOM node
+     *
+     * Used to set up a security question and answer. The question is submitted as `callback_N_0` and the answer
+     * as `callback_N_1`. If AM allows user-defined questions, the question can be typed in freely.
+     */
+    embeddedLogin.prototype.renderKbaCreateCallback = function (callback, index, prompt, questions, validation) {
+        let allowUserDefined = findName(callback.output, "allowUserDefinedQuestions"),
+            question = callback.input[0].value,
+            questionAttributes = Object.assign(fieldAttributes(index, validation), { name: `callback_${index}_0` }),
+            questionField = allowUserDefined && allowUserDefined.value
+                ? [
+                    createElement("input", Object.assign(questionAttributes, { type: "text", value: question, list: `callback_${index}_questions` })),
+                    createElement("datalist", { id: `callback_${index}_questions` },
+                        questions.map((option) => createElement("option", { value: option })))
+                ]
+                : [
+                    createElement("select", questionAttributes,
+                        [createElement("option", { value: "" }, "")].concat(questions.map((option) =>
+                            createElement("option", { value: option, selected: option === question }, option))))
+                ];
+
+        return Promise.resolve(createElement("div", { class: callback.type }, [labelFor(`callback_${index}`, prompt)]
+            .concat(questionField)
+            .concat([
+                labelFor(`callback_${index}_1`, this.translate("KBA_ANSWER")),
+                createElement("input", Object.assign(fieldAttributes(index, validation), {
+                    id: `callback_${index}_1`,
+                    type: "text",
+                    name: `callback_${index}_1`,
+                    value: callback.input[1].value,
+                    autocomplete: "off"
+                }))
+            ])
+            .concat(this.renderValidationMessages(index, validation))));
+    };
+
+    /** @function renderTermsAndConditionsCallback
+     * @param {Object} callback - structure of data returned from authentication API for this specific callback type
+     * @param {number} index - ordinal position of this callback relative to others
+     * @param {string} terms - the text of the terms and conditions
+     * @param {Object} validation - the `required` flag, policy `requirements` and validation `errors` of the callback
+     * @returns {Promise} - resolved when the full content of this callback is available. Expected to be resolved with a DOM node
+     *
+     * Presents the terms and conditions, along with a checkbox used to accept them.
+     */
+    embeddedLogin.prototype.renderTermsAndConditionsCallback = function (callback, index, terms, validation) {
+        return Promise.resolve(createElement("div", { class: callback.type }, [
+            createElement("div", { class: "terms" }, terms),
+            createElement("label", {}, [
+                createElement("input", Object.assign(fieldAttributes(index, validation), {
+                    type: "checkbox",
+                    name: `callback_${index}`,
+                    value: "true",
+                    checked: callback.input[0].value === true
+                })),
+                this.translate("TERMS_ACCEPT")
+            ])
+        ].concat(this.renderValidationMessages(index, validation))));
+    };
+
+    /** @function renderConsentMappingCallback
+     * @param {Object} callback - structure of data returned from authentication API for this specific callback type
+     * @param {number} index - ordinal position of this callback relative to others
+     * @param {Object} mapping - the outputs of the callback, including `displayName`, `icon`, `message`, `accessLevel` and `fields`
+     * @param {Object} validation - the `required` flag, policy `requirements` and validation `errors` of the callback
+     * @returns {Promise} - resolved when the full content of this callback is available. Expected to be resolved with a DOM node
+     *
+     * Asks the user to consent to sharing their data with a mapped service.
+     */
+    embeddedLogin.prototype.renderConsentMappingCallback = function (callback, index, mapping, validation) {
+        return Promise.resolve(createElement("div", { class: callback.type }, [
+            mapping.icon ? createElement("img", { src: mapping.icon, alt: "" }) : "",
+            createElement("div", { class: "consent-name" }, mapping.displayName),
+            createElement("div", { class: "consent-access" }, mapping.accessLevel),
+            createElement("ul", { class: "consent-fields" },
+                (mapping.fields || []).map((field) => createElement("li", {}, field))),
+            createElement("label", {}, [
+                createElement("input", Object.assign(fieldAttributes(index, validation), {
+                    type: "checkbox",
+                    name: `callback_${index}`,
+                    value: "true",
+                    checked: callback.input[0].value === true
+                })),
+                mapping.message
+            ])
+        ].concat(this.renderValidationMessages(index, validation))));
     };
 
     /** @function renderUnknownCallback
      * @param {Object} callback - structure of data returned from authentication API for this specific callback type
      * @param {number} index - ordinal position of this callback relative to others
      * @param {string} prompt - Text to present to the user describing the callback
+     * @param {Object} validation - the `required` flag, policy `requirements` and validation `errors` of the callback
      * @returns {Promise} - resolved when the full content of this callback is available. Expected to be resolved with a DOM node
      *
      * Handler for an unknown callback type. By default it just uses the name callback.
      */
-    embeddedLogin.prototype.renderUnknownCallback = function (callback, index, prompt) {
-        return this.renderNameCallback(callback, index, prompt);
+    embeddedLogin.prototype.renderUnknownCallback = function (callback, index, prompt, validation) {
+        return this.renderNameCallback(callback, index, prompt, validation);
     };
 
+    embeddedLogin.Journey = journey;
+    embeddedLogin.JourneyError = journey.JourneyError;
+    embeddedLogin.I18n = journey.I18n;
+    embeddedLogin.Session = session;
+    embeddedLogin.OAuth = oauth;
+    embeddedLogin.WebAuthn = webauthn;
+    embeddedLogin.Inputs = inputs;
+    embeddedLogin.Layouts = layouts;
+    embeddedLogin.LoginElement = loginElement;
+    embeddedLogin.createElement = createElement;
+    embeddedLogin.middleware = journey.middleware;
+
+    // the class created by the <forgerock-login> element; replace it with a subclass to customize the rendering
+    loginElement.EmbeddedLogin = embeddedLogin;
+    loginElement.define();
+
     module.exports = embeddedLogin;
 
 }());
@@ -0,0 +1,170 @@
+(function () {
+    "use strict";
+
+    /**
+     * Maps the values entered into a rendered form onto the inputs of the callbacks they belong to.
+     * Each callback's value is read by an extractor (the default one understands the markup produced
+     * by the default renderers, and fields named after the AM input, such as "IDToken1"), and is then
+     * coerced to the type AM expects for that input.
+     * @module ForgeRockInputs
+     */
+
+    /**
+     * The types AM expects for the inputs of callbacks, by position, when the type cannot be told from
+     * the value AM supplied (which can be null). For any other input, the type of its current value is kept.
+     */
+    const INPUT_TYPES = {
+        ChoiceCallback: ["number"],
+        ConfirmationCallback: ["number"],
+        NumberAttributeInputCallback: ["number"],
+        BooleanAttributeInputCallback: ["boolean"],
+        TermsAndConditionsCallback: ["boolean"],
+        ConsentMappingCallback: ["boolean"]
+    };
+
+    const BUTTON_TYPES = ["submit", "button", "reset", "image"];
+
+    let isButton = (field) => field.tagName === "BUTTON" || BUTTON_TYPES.indexOf(field.type) !== -1;
+
+    let fieldsNamed = (form, names) => Array.prototype.filter.call(form.elements || [],
+        (field) => !field.disabled && !isButton(field) && names.indexOf(field.name) !== -1);
+
+    /**
+     * @param {Array} fields - the form fields which hold the value of one input
+     * @returns {*} - the value of the fields: a boolean for a single checkbox, a list for a multiple select or
+     *  several checkboxes (or other fields) of the same name, a number for a number field, and otherwise the
+     *  string entered. Undefined when there are no fields, so that the input is left unchanged.
+     */
+    let readFields = function (fields) {
+        if (!fields.length) {
+            return undefined;
+        }
+        let checkboxes = fields.filter((field) => field.type === "checkbox");
+        if (checkboxes.length === 1 && fields.length === 1) {
+            return checkboxes[0].checked;
+        }
+        let values = fields.reduce((result, field) => {
+            if (field.type === "checkbox" || field.type === "radio") {
+                return field.checked ? result.concat(field.value) : result;
+            }
+            if (field.tagName === "SELECT" && field.multiple) {
+                return result.concat(Array.prototype.filter.call(field.options, (option) => option.selected)
+                    .map((option) => option.value));
+            }
+            if (field.type === "number") {
+                return result.concat(field.value === "" ? null : Number(field.value));
+            }
+            return result.concat(field.value);
+        }, []);
+        // a list is expected whenever the fields allow more than one value to be chosen
+        if (checkboxes.length || fields.length > 1 || fields.some((field) => field.multiple)) {
+            return fields.every((field) => field.type === "radio") ? values[0] : values;
+        }
+        return values[0];
+    };
+
+    /**
+     * @param {Object} callback - the callback the button belongs to
+     * @param {Object} submitter - the button used to submit the form
+     * @returns {*} - the value recorded for the button: the `index` attribute of a ConfirmationCallback option,
+     *  otherwise the value of the button
+     */
+    let readSubmitter = function (callback, submitter) {
+        return submitter.hasAttribute("index") ? submitter.getAttribute("index") : submitter.value;
+    };
+
+    /**
+     * The extractor used for callbacks which have none of their own.
+     * @param {Object} callback - structure of data returned from authentication API for the callback
+     * @param {number} index - ordinal position of the callback relative to others
+     * @param {Object} form - the form being submitted
+     * @param {Object} [submitter] - the button used to submit the form, if any
+     * @returns {Array} - the value of each input of the callback, in order. The value of an input is read from the
+     *  fields named `callback_N_M` (M being the position of the input), `callback_N` (for the first input) or after
+     *  the input itself (e.g. "IDToken1"). When the submitter has one of those names, its value is used instead.
+     */
+    let defaultExtractor = function (callback, index, form, submitter) {
+        return [].concat(callback.input || []).map((input, inputIndex) => {
+            let names = [`callback_${index}_${inputIndex}`, input.name].concat(inputIndex ? [] : [`callback_${index}`]);
+            if (submitter && submitter.name && names.indexOf(submitter.name) !== -1) {
+                return readSubmitter(callback, submitter);
+            }
+            return readFields(fieldsNamed(form, names));
+        });
+    };
+
+    /**
+     * @param {*} value - the value extracted from the form
+     * @param {string} type - "number", "boolean", "string" or "array"
+     * @returns {*} - the value, converted to the type. Lists are converted item by item, except to "string".
+     */
+    let coerce = function (value, type) {
+        if (type === "array") {
+            return value === undefined || value === null ? [] : [].concat(value);
+        }
+        if (Array.isArray(value) && type !== "string") {
+            return value.map((item) => coerce(item, type));
+        }
+        switch (type) {
+        case "number": return value === "" || value === null || value === undefined ? null : Number(value);
+        case "boolean": return value === true || value === "true";
+        case "string": return value === null || value === undefined ? "" : [].concat(value).join(",");
+        default: return value;
+        }
+    };
+
+    /**
+     * @param {Object} callback - structure of data returned from authentication API for the callback
+     * @param {number} inputIndex - the position of the input within the callback
+     * @returns {string} - the type AM expects for the input: "number", "boolean", "string", "array" or undefined if unknown
+     */
+    let getInputType = function (callback, inputIndex) {
+        let known = (INPUT_TYPES[callback.type] || [])[inputIndex],
+            input = [].concat(callback.input || [])[inputIndex],
+            value = input && input.value;
+        if (known) {
+            return known;
+        }
+        if (Array.isArray(value)) {
+            return "array";
+        }
+        return ["number", "boolean", "string"].indexOf(typeof value) !== -1 ? typeof value : undefined;
+    };
+
+    /**
+     * @param {Object} form - the form being submitted
+     * @param {Array} callbacks - the callbacks of the current step
+     * @param {Object} [options]
+     * @param {Object} [options.extractors] - map of callback types to extractors, used in place of the `defaultExtractor`.
+     *  Each is called with (callback, index, form, submitter), and returns the value of each input, in order; an
+     *  undefined value (or returning nothing) leaves the input unchanged. Values are coerced afterwards, so they
+     *  can be returned as they were read from the form.
+     * @param {Object} [options.submitter] - the button used to submit the form
+     * @returns {Object} - map of the position of each callback to the values of its inputs, coerced to the types
+     *  AM expects. Undefined values are to be left unchanged.
+     */
+    let readForm = function (form, callbacks, options) {
+        options = options || {};
+        let extractors = options.extractors || {};
+        return (callbacks || []).reduce((result, callback, index) => {
+            let extractor = extractors[callback.type] || defaultExtractor,
+                values = extractor(callback, index, form, options.submitter);
+            if (values !== undefined && values !== null) {
+                result[index] = [].concat(values).map((value, inputIndex) =>
+                    (value === undefined ? undefined : coerce(value, getInputType(callback, inputIndex))));
+            }
+            return result;
+        }, {});
+    };
+
+    module.exports = {
+        INPUT_TYPES,
+        readFields,
+        readSubmitter,
+        defaultExtractor,
+        coerce,
+        getInputType,
+        readForm
+    };
+
+}());
@@ -0,0 +1,914 @@
+(function () {
+    "use strict";
+
+    /**
+     * Module used to drive an authentication journey against ForgeRock Access Management's
+     * authentication API, without any dependency on the DOM. The `ForgeRockEmbeddedLogin`
+     * renderer is built on top of this; use it directly if you want to render the journey
+     * with your own components (React, Vue, etc...) or run it under Node.
+     * @module ForgeRockJourney
+     */
+    const JourneyError = require("./errors");
+    const request = require("./request");
+    const policies = require("./policies");
+    const i18n = require("./i18n");
+    const config = require("./config");
+    const middleware = require("./middleware");
+    const events = require("./events");
+    const metrics = require("./metrics");
+
+    let findName = (array, name) => (array || []).reduce(
+        (found, item) => found || (item.name === name && item), false
+    );
+
+    let findType = (array, type) => (array || []).reduce(
+        (found, item) => found || (item.type === type && item), false
+    );
+
+    let isEmpty = (value) => value === undefined || value === null ||
+        (typeof value === "string" && value.trim() === "");
+
+    let delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    let callbackTypes = (response) => (response.callbacks || []).map((callback) => callback.type);
+
+    // identifies a journey within the events; it is not used for anything else, so it needn't be unguessable
+    let createJourneyId = () => `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+
+    // statuses which indicate that the server refused the request without processing it, so it is safe to send again
+    const REFUSED_STATUSES = [429, 503];
+
+    // statuses from a gateway, for which the server may or may not have processed the request
+    const GATEWAY_STATUSES = [502, 504];
+
+    // query parameters which AM (or an external IdP) sends back to the application to continue a journey
+    const RESUME_PARAMS = ["code", "state", "form_post_entry", "responsekey", "error", "error_description", "RelayState"];
+
+    let defaultStateStorage = () => (typeof sessionStorage !== "undefined" ? sessionStorage : null);
+
+    /**
+     * @constructor
+     * @param {Object} options
+     * @param {String} [options.authenticateUrl] - The URL to the AM authentication API. Either this or the `serverUrl` is required
+     * @param {String} [options.serverUrl] - The base URL of AM (e.g. "https://example.com/am"), from which the `authenticateUrl` is built
+     *  along with the `realm`, `tree`, `service`, `module`, `level`, `compositeAdvice`, `goto`, `gotoOnFail`, `noSession` and `forceAuth`
+     *  options. See `ForgeRockJourneyConfig.buildAuthenticateUrl`
+     * @param {Array} [options.redirectAllowlist] - Strings or RegExps describing the URLs permitted for `goto` and `gotoOnFail`, besides those
+     *  of the current origin
+     * @param {String} [options.apiVersion=protocol=1.0,resource=2.1] - The version of the authentication API to request
+     * @param {function} [options.transport] - Function to call with (url, requestOptions, context) to send each request, in place of `fetch`;
+     *  see `ForgeRockRequest`
+     * @param {Array} [options.middleware] - Functions to call with (req, next) for each request; see `ForgeRockRequest`
+     * @param {function} [options.stepHandler] - Function to call with (step, action) whenever a new response is received (including those produced by polling).
+     *  The step is the normalized step model, and the action is why the callbacks which produced it were posted ("start", "submit", "poll" or "resume")
+     * @param {function} [options.busyHandler] - Function to call with (busy) whenever callbacks start or finish being submitted. Polling does not count
+     * @param {number} [options.pollingMaxAttempts] - Maximum number of times a PollingWaitCallback will be resubmitted before giving up
+     * @param {number} [options.pollingTimeout] - Maximum total time (in ms) to spend polling before giving up
+     * @param {function} [options.pollingTimeoutHandler] - Function to call when polling gives up
+     * @param {function} [options.pollingErrorHandler] - Function to call with the error when a resubmission made by polling fails,
+     *  and there is no `errorHandler` to report it to
+     * @param {function} [options.errorHandler] - Function to call with a `JourneyError` whenever a request cannot advance the journey
+     * @param {number} [options.requestTimeout] - Time (in ms) to wait for each response before giving up on it
+     * @param {number} [options.retries=2] - Number of times to resend a request which the server refused (429 and 503 responses), or
+     *  which started the journey and failed with a network error, timeout or gateway error (502 and 504 responses)
+     * @param {boolean} [options.retrySubmits=false] - Whether to also resend the other requests (submitting, polling or resuming the
+     *  journey) after a network error, timeout or gateway error. These may already have been processed by AM, so sending them again
+     *  could count an attempt against the user twice, or use up a one-time password
+     * @param {number} [options.retryDelay=500] - Time (in ms) to wait before the first retry; doubled for every subsequent retry
+     * @param {boolean} [options.restartOnSessionExpiry=true] - Whether to restart the journey (keeping the username entered) when AM reports that the `authId` has expired
+     * @param {Object} [options.stateStorage=sessionStorage] - Storage (with getItem, setItem and removeItem functions) used to keep the journey while the user is redirected elsewhere
+     * @param {String} [options.stateKey=forgerock-journey] - Key used for the journey within the `stateStorage`
+     * @param {string} [options.locale] - Locale (e.g. "fr-CA") for AM to use, sent as the `Accept-Language` header and the `locale`
+     *  query parameter, and used for the messages produced by the client. Without it, the browser's preferences are used
+     * @param {string} [options.fallbackLocale=en] - Locale of the messages to use when the `locale` has no message of its own
+     * @param {Object} [options.messages] - Messages for this journey, keyed by locale and then by message key; see `ForgeRockI18n`
+     * @param {boolean} [options.metrics=false] - Whether to keep a summary of each journey, available from `getMetrics`
+     * @param {function} [options.metricsHandler] - Function to call with the summary of each journey when it ends; supplying
+     *  this implies the `metrics` option. See `ForgeRockMetrics`
+     */
+    let journey = function (options) {
+        this.config = {};
+        this.configure(options);
+        this.apiVersion = options.apiVersion || "protocol=1.0,resource=2.1";
+        this.transport = options.transport;
+        this.middleware = options.middleware || [];
+        this.stepHandler = options.stepHandler;
+        this.busyHandler = options.busyHandler;
+        this.pendingRequests = 0;
+        this.requestSequence = 0;
+        this.abortedSequence = 0;
+        this.destroyed = false;
+        this.pollingMaxAttempts = options.pollingMaxAttempts;
+        this.pollingTimeout = options.pollingTimeout;
+        this.pollingTimeoutHandler = options.pollingTimeoutHandler;
+        this.pollingErrorHandler = options.pollingErrorHandler;
+        this.errorHandler = options.errorHandler;
+        this.requestTimeout = options.requestTimeout;
+        this.retries = options.retries === undefined ? 2 : options.retries;
+        this.retryDelay = options.retryDelay === undefined ? 500 : options.retryDelay;
+        this.retrySubmits = !!options.retrySubmits;
+        this.restartOnSessionExpiry = options.restartOnSessionExpiry !== false;
+        this.stateStorage = options.stateStorage || defaultStateStorage();
+        this.stateKey = options.stateKey || "forgerock-journey";
+        this.i18n = new i18n({
+            locale: options.locale,
+            fallbackLocale: options.fallbackLocale,
+            messages: options.messages
+        });
+        this.events = new events();
+        if (options.metrics || options.metricsHandler) {
+            this.metrics = new metrics({ handler: options.metricsHandler });
+            this.on(events.ALL, (event) => this.metrics.record(event));
+        }
+        this.pollingInProgress = false;
+        this.currentCallbacks = {};
+        return this;
+    };
+
+    /** @function configure
+     * @param {Object} options - any of the options which describe the `authenticateUrl` (see the constructor)
+     *
+     * Changes the `authenticateUrl` used from now on. The options are combined with those supplied previously,
+     * except that a new `tree`, `service`, `module`, `level` or `compositeAdvice` replaces any of the others.
+     * An error is thrown if the options are not valid, such as a `goto` URL which is not within the `redirectAllowlist`.
+     */
+    journey.prototype.configure = function (options) {
+        let changes = config.pick(options),
+            combined = Object.assign({}, this.config);
+
+        if (Object.keys(config.AUTH_INDEX_OPTIONS).some((name) => changes[name] !== undefined)) {
+            Object.keys(config.AUTH_INDEX_OPTIONS).forEach((name) => delete combined[name]);
+        }
+        combined = Object.assign(combined, changes);
+
+        if (Object.keys(combined).some((name) => name !== "authenticateUrl")) {
+            this.authenticateUrl = config.buildAuthenticateUrl(combined);
+        } else {
+            // an authenticateUrl supplied on its own is used exactly as it is, once its goto and gotoOnFail are checked
+            config.checkRedirects(request.parseQuery(combined.authenticateUrl));
+            this.authenticateUrl = combined.authenticateUrl;
+        }
+        this.config = combined;
+        return this;
+    };
+
+    /** @function start
+     * @param {Object} [options] - options to change the `authenticateUrl` with before starting, such as `{ tree: "Registration" }`;
+     *  see `configure`
+     * @returns {Promise} - resolved with the step model produced by the response
+     *
+     * Begins (or restarts) the journey, by calling the `authenticateUrl` without any credentials
+     * supplied (besides the cookie that may be present in the case of an established session).
+     */
+    journey.prototype.start = function (options) {
+        if (options) {
+            try {
+                this.configure(options);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+        this.stopPolling();
+        this.currentCallbacks = {};
+        this.beginJourney({ restarted: this.restarting });
+        this.restarting = false;
+        return this.submit(undefined, "start");
+    };
+
+    /** @function beginJourney
+     * @param {Object} [details] - details to add to the "start" event
+     * @param {string} [journeyId] - the `journeyId` to continue with, such as that of a journey resumed after a redirect
+     *
+     * Emits the "start" event. A new `journeyId` is chosen, except when the journey is only being restarted,
+     * or the `journeyId` is supplied.
+     */
+    journey.prototype.beginJourney = function (details, journeyId) {
+        if (journeyId) {
+            this.journeyId = journeyId;
+        } else if (!this.journeyId || !(details && details.restarted)) {
+            this.journeyId = createJourneyId();
+        }
+        let event = this.emit("start", Object.assign({
+            url: this.authenticateUrl && middleware.redactUrl(this.authenticateUrl),
+            resumed: false,
+            restarted: false
+        }, details));
+        this.startedAt = event.startedAt || event.timestamp;
+        return this;
+    };
+
+    /** @function on
+     * @param {string} type - the type of event, or "*" for every event
+     * @param {function} listener - Function to call with (event) for every event of the type. Each event has the `type`,
+     *  `timestamp` and `journeyId`, along with the following details, which never include the values entered, tokens or the like:
+     *  - start: `url`, and whether the journey was `resumed` after a redirect, or `restarted` because its authId expired.
+     *    A journey resumed after a redirect keeps its `journeyId`, and has the time it originally `startedAt`
+     *  - submit: the `stage` and `callbackTypes` of the step submitted
+     *  - poll: the `attempt` number, and the `elapsed` time (in ms) since polling began
+     *  - response: the `action` ("start", "submit", "poll" or "resume"), the HTTP `status`, its `latency` (in ms)
+     *    and the `attempt` number, for every response received (including those which are retried)
+     *  - step: the `header`, `stage`, `template` and `callbackTypes` of each new step, and the `action` which produced it
+     *  - success: the `realm` and `successUrl`
+     *  - failure: the `reason` and `message` given by AM
+     *  - error: the `errorType`, `message` and HTTP `status` (if any) of a `JourneyError`
+     *  - destroy: when `destroy` is called
+     */
+    journey.prototype.on = function (type, listener) {
+        this.events.on(type, listener);
+        return this;
+    };
+
+    /** @function off
+     * @param {string} [type] - the type of event; when omitted, every listener is removed
+     * @param {function} [listener] - the listener to remove; when omitted, every listener for the type is removed
+     */
+    journey.prototype.off = function (type, listener) {
+        this.events.off(type, listener);
+        return this;
+    };
+
+    /** @function emit
+     * @param {string} type - the type of event
+     * @param {Object} [details] - the details of the event, which must not include any secrets
+     * @returns {Object} - the event, including the `journeyId`
+     */
+    journey.prototype.emit = function (type, details) {
+        return this.events.emit(type, Object.assign({ journeyId: this.journeyId }, details));
+    };
+
+    /** @function getMetrics
+     * @returns {Object} - the summary of the current (or most recent) journey, or null if the `metrics` option was
+     *  not supplied; see `ForgeRockMetrics`
+     */
+    journey.prototype.getMetrics = function () {
+        return this.metrics ? this.metrics.getSummary() : null;
+    };
+
+    /** @function next
+     * @param {Object} [inputs] - values to apply before submitting. Keys are either the ordinal position of a callback
+     *  (which sets its first input) or the name of a specific input (e.g. "IDToken1"). Values set previously through the
+     *  step model's `setValue` are kept.
+     * @returns {Promise} - resolved with the step model produced by the response
+     *
+     * Submits the current callbacks, with the supplied inputs, and advances to the next step. If the
+     * checks made by `validate` fail, nothing is submitted; the current step is resolved instead, with
+     * the problems found as its `validationErrors`.
+     */
+    journey.prototype.next = function (inputs) {
+        this.clearPollingTimer();
+        Object.keys(inputs || {}).forEach((key) => this.setInputValue(key, inputs[key]));
+
+        let validationErrors = this.validate();
+        if (Object.keys(validationErrors).length) {
+            let step = this.getStep();
+            step.validationErrors = validationErrors;
+            return Promise.resolve(step);
+        }
+        return this.submit();
+    };
+
+    /** @function setInputValue
+     * @param {number|string} key - the ordinal position of a callback, or the name of one of its inputs
+     * @param {*} value - the value to submit for that input
+     * @param {number} [inputIndex=0] - when the key is a position, which of the callback's inputs to set
+     */
+    journey.prototype.setInputValue = function (key, value, inputIndex = 0) {
+        let callbacks = this.currentCallbacks.callbacks || [],
+            input;
+
+        if (/^\d+$/.test(key)) {
+            let callback = callbacks[parseInt(key, 10)];
+            input = callback && callback.input && [].concat(callback.input)[inputIndex];
+        } else {
+            input = callbacks.reduce((found, callback) => found || findName(callback.input, key), false);
+        }
+
+        if (!input) {
+            throw new Error(`No input found for "${key}"`);
+        }
+        input.value = value;
+        return this;
+    };
+
+    /** @function setLocale
+     * @param {string} [locale] - the locale to use from now on (e.g. "fr-CA"); when omitted, the browser's preferences are used
+     *
+     * Takes effect for the messages produced by the client immediately. The text supplied by AM is in the new
+     * locale from the next response onwards.
+     */
+    journey.prototype.setLocale = function (locale) {
+        this.i18n.setLocale(locale);
+        return this;
+    };
+
+    /** @function translate
+     * @param {string} key - the key of a message produced by the client, e.g. "LOGIN_BUTTON"
+     * @param {Object} [params] - values for the placeholders within the message
+     * @returns {string} - the message, in the current locale
+     */
+    journey.prototype.translate = function (key, params) {
+        return this.i18n.translate(key, params);
+    };
+
+    /** @function submit
+     * Posts the `currentCallbacks` data to the `authenticateUrl` and stores the response
+     * as the new `currentCallbacks`. Problems are reported with `handleError`.
+     * @param {Object} [query] - additional query parameters to send to the `authenticateUrl`
+     * @param {string} [action=submit] - why the callbacks are being posted ("start", "submit", "poll" or "resume"),
+     *  for the context of the request
+     * @returns {Promise} - resolved with the step model produced by the response. If the response is discarded, because
+     *  `abort` (or `destroy`) was called, or because another request was sent in the meantime, it is resolved with
+     *  `{ status: "aborted" }` or `{ status: "superseded" }` instead, and the `currentCallbacks` are left as they are.
+     */
+    journey.prototype.submit = function (query, action = "submit") {
+        if (this.destroyed) {
+            return Promise.resolve({ status: "aborted" });
+        }
+        let sequence = ++this.requestSequence,
+            signal = this.getAbortSignal(),
+            busy = action !== "poll",
+            // the status of the response if it is to be discarded, otherwise null
+            discarded = () => {
+                if (this.destroyed || sequence <= this.abortedSequence) {
+                    return "aborted";
+                }
+                return sequence !== this.requestSequence ? "superseded" : null;
+            },
+            settled = () => {
+                if (busy) {
+                    this.setPendingRequests(this.pendingRequests - 1);
+                }
+                return discarded();
+            },
+            body = JSON.stringify(this.currentCallbacks),
+            // a locale within the authenticateUrl itself takes precedence
+            locale = request.parseQuery(this.authenticateUrl).locale === undefined ? this.i18n.locale : undefined,
+            queryString = request.encodeForm(Object.assign({ locale }, query)),
+            url = queryString
+                ? `${this.authenticateUrl}${this.authenticateUrl.indexOf("?") === -1 ? "?" : "&"}${queryString}`
+                : this.authenticateUrl;
+        if (busy) {
+            this.setPendingRequests(this.pendingRequests + 1);
+        }
+        if (action === "submit") {
+            this.emit("submit", {
+                stage: this.currentCallbacks.stage,
+                callbackTypes: callbackTypes(this.currentCallbacks)
+            });
+        }
+        return this.sendRequest(url, body, 0, action, signal)
+            .then((jsonResp) => {
+                let status = settled();
+                if (status) {
+                    return { status };
+                }
+                this.currentCallbacks = jsonResp;
+                return this.handleResponse(action);
+            }, (error) => {
+                let status = settled();
+                return status ? { status } : this.handleError(error);
+            });
+    };
+
+    /** @function setPendingRequests
+     * @param {number} count - the number of submissions (besides polling) now awaiting a response
+     *
+     * Calls the `busyHandler` whenever the journey becomes busy, or stops being busy.
+     */
+    journey.prototype.setPendingRequests = function (count) {
+        let wasBusy = this.isBusy();
+        this.pendingRequests = Math.max(count, 0);
+        if (wasBusy !== this.isBusy() && this.busyHandler) {
+            this.busyHandler(this.isBusy());
+        }
+        return this;
+    };
+
+    /** @function isBusy
+     * @returns {boolean} - true while callbacks are being submitted (not counting polling)
+     */
+    journey.prototype.isBusy = function () {
+        return this.pendingRequests > 0;
+    };
+
+    /** @function getAbortSignal
+     * @returns {Object} - the AbortSignal shared by the requests in flight, which is triggered by `abort`,
+     *  or undefined if AbortController is not available
+     */
+    journey.prototype.getAbortSignal = function () {
+        if (!this.abortController && typeof AbortController !== "undefined") {
+            this.abortController = new AbortController();
+        }
+        return this.abortController && this.abortController.signal;
+    };
+
+    /** @function abort
+     * Abandons the requests in flight (their responses are discarded) and any pending polling. The
+     * journey can continue afterwards, such as by calling `start`.
+     */
+    journey.prototype.abort = function () {
+        this.abortedSequence = this.requestSequence;
+        this.stopPolling();
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+        return this;
+    };
+
+    /** @function destroy
+     * Aborts everything in progress and stops the journey from making any further requests.
+     * The handlers are not called again.
+     */
+    journey.prototype.destroy = function () {
+        this.abort();
+        this.emit("destroy");
+        this.events.off();
+        this.destroyed = true;
+        this.stepHandler = null;
+        this.busyHandler = null;
+        this.pollingTimeoutHandler = null;
+        this.pollingErrorHandler = null;
+        this.errorHandler = null;
+        return this;
+    };
+
+    /** @function sendRequest
+     * @param {string} url - the `authenticateUrl`, including any additional query parameters
+     * @param {string} body - the serialized callbacks to post
+     * @param {number} attempt - the number of times this body has already been sent
+     * @param {string} [action=submit] - why the callbacks are being posted, for the context of the request
+     * @param {Object} [signal] - AbortSignal used to abandon the request (and any retries)
+     * @returns {Promise} - resolved with the parsed response, or rejected with a `JourneyError`
+     *
+     * Makes a single request to the `authenticateUrl`, retrying with an exponential backoff
+     * if the failure was one for which the request is safe to repeat.
+     */
+    journey.prototype.sendRequest = function (url, body, attempt, action = "submit", signal) {
+        let headers = {
+                "accept-api-version": this.apiVersion,
+                "content-type": "application/json"
+            },
+            acceptLanguage = this.i18n.getAcceptLanguage(),
+            sent = Date.now();
+        if (acceptLanguage) {
+            headers["accept-language"] = acceptLanguage;
+        }
+        return this.fetchWithTimeout(url, {
+            mode: "cors",
+            method: "POST",
+            credentials: "include",
+            headers,
+            body
+        }, {
+            source: "journey",
+            action,
+            attempt,
+            stage: this.currentCallbacks.stage,
+            callbackTypes: callbackTypes(this.currentCallbacks)
+        }, signal)
+            .then((resp) => {
+                this.emit("response", { action, attempt, status: resp.status, latency: Date.now() - sent });
+                return this.parseResponse(resp, body);
+            })
+            .catch((error) => {
+                if (attempt < this.retries && this.isRetryable(error, action) && !(signal && signal.aborted)) {
+                    return delay(this.retryDelay * Math.pow(2, attempt))
+                        .then(() => {
+                            if (signal && signal.aborted) {
+                                throw new JourneyError(JourneyError.ABORTED, "The request was aborted");
+                            }
+                            return this.sendRequest(url, body, attempt + 1, action, signal);
+                        });
+                }
+                throw error;
+            });
+    };
+
+    /** @function fetchWithTimeout
+     * @param {string} url - the URL to request
+     * @param {Object} requestOptions - options passed to the transport (`fetch`, by default)
+     * @param {Object} [context] - details of the request for the middleware and transport
+     * @param {Object} [signal] - AbortSignal used to abandon the request
+     * @returns {Promise} - resolved with the fetch response, or rejected with a `JourneyError` of
+     *  type NETWORK, TIMEOUT or ABORTED. The request is aborted after `requestTimeout` ms, where AbortController
+     *  is available.
+     */
+    journey.prototype.fetchWithTimeout = function (url, requestOptions, context, signal) {
+        return request(url, requestOptions, this.requestTimeout, {
+            transport: this.transport,
+            middleware: this.middleware,
+            context,
+            signal
+        });
+    };
+
+    /** @function use
+     * @param {function} middleware - Function to call with (req, next) for each request from now on; see `ForgeRockRequest`
+     */
+    journey.prototype.use = function (middleware) {
+        this.middleware.push(middleware);
+        return this;
+    };
+
+    /** @function parseResponse
+     * @param {Object} resp - the fetch response
+     * @param {string} body - the serialized callbacks which were posted
+     * @returns {Promise} - resolved with the parsed response if it can be used to continue the journey (including
+     *  the 401 which indicates authentication failure), otherwise rejected with a `JourneyError`
+     */
+    journey.prototype.parseResponse = function (resp, body) {
+        return request.parseJson(resp)
+            .then((jsonResp) => {
+                if (resp.status === 401) {
+                    if (JSON.parse(body).authId && /session has timed out/i.test(jsonResp.message)) {
+                        throw new JourneyError(JourneyError.SESSION_EXPIRED, jsonResp.message,
+                            { status: resp.status, response: jsonResp });
+                    }
+                    return jsonResp;
+                }
+                if (!resp.ok) {
+                    throw new JourneyError(JourneyError.SERVER, jsonResp.message || `Unexpected status ${resp.status}`,
+                        { status: resp.status, response: jsonResp });
+                }
+                return jsonResp;
+            });
+    };
+
+    /** @function isRetryable
+     * @param {JourneyError} error
+     * @param {string} [action=submit] - why the callbacks which produced the error were posted
+     * @returns {boolean} - true if the request which produced the error can safely be sent again: the server refused it,
+     *  or it only started the journey (or `retrySubmits` is set) and it may not have reached the server
+     */
+    journey.prototype.isRetryable = function (error, action = "submit") {
+        if (REFUSED_STATUSES.indexOf(error.status) !== -1) {
+            return true;
+        }
+        return (action === "start" || this.retrySubmits) && (
+            error.type === JourneyError.NETWORK ||
+            error.type === JourneyError.TIMEOUT ||
+            GATEWAY_STATUSES.indexOf(error.status) !== -1
+        );
+    };
+
+    /** @function handleError
+     * @param {Error} error - the problem encountered while submitting
+     * @returns {Promise} - if the `authId` has expired (and `restartOnSessionExpiry` is set), resolved with the first
+     *  step of the restarted journey. Otherwise, when there is an `errorHandler`, resolved with a step model of status
+     *  "error" (containing the `error`), or rejected with the error when there is no `errorHandler`.
+     */
+    journey.prototype.handleError = function (error) {
+        if (!(error instanceof JourneyError)) {
+            error = new JourneyError(JourneyError.MALFORMED_RESPONSE, error.message, { cause: error });
+        }
+        this.emit("error", { errorType: error.type, message: error.message, status: error.status });
+        if (this.errorHandler) {
+            this.errorHandler(error);
+        }
+
+        if (error.type === JourneyError.SESSION_EXPIRED && this.restartOnSessionExpiry) {
+            let nameCallback = findType(this.currentCallbacks.callbacks, "NameCallback");
+            this.preservedUsername = nameCallback && nameCallback.input && nameCallback.input[0].value;
+            this.restarting = true;
+            return this.start();
+        }
+        if (this.errorHandler) {
+            return { status: "error", error };
+        }
+        return Promise.reject(error);
+    };
+
+    /** @function handleResponse
+     * Called after every response is stored. Schedules polling if required, restores the username
+     * kept from an expired journey, emits the "step", "success" or "failure" event, and passes the
+     * normalized step model to the `stepHandler`.
+     * @param {string} [action] - why the callbacks which produced the response were posted
+     * @returns {Object} - the step model
+     */
+    journey.prototype.handleResponse = function (action) {
+        this.handlePolling();
+        this.restoreUsername();
+        let step = this.getStep();
+        if (step.status === "success") {
+            this.emit("success", { realm: step.realm, successUrl: step.successUrl && middleware.redactUrl(step.successUrl) });
+        } else if (step.status === "failure") {
+            this.emit("failure", { reason: step.reason, message: step.message });
+        } else {
+            this.emit("step", {
+                action,
+                header: step.header,
+                stage: step.stage,
+                template: step.template,
+                callbackTypes: callbackTypes(this.currentCallbacks)
+            });
+        }
+        if (this.stepHandler) {
+            this.stepHandler(step, action);
+        }
+        return step;
+    };
+
+    /** @function restoreUsername
+     * After a journey is restarted due to an expired `authId`, fills in the first empty NameCallback
+     * with the username which had been entered previously.
+     */
+    journey.prototype.restoreUsername = function () {
+        let nameCallback = findType(this.currentCallbacks.callbacks, "NameCallback");
+        if (this.preservedUsername && nameCallback && nameCallback.input && !nameCallback.input[0].value) {
+            nameCallback.input[0].value = this.preservedUsername;
+        }
+        this.preservedUsername = null;
+        return this;
+    };
+
+    /** @function success
+     * How to determine if the authentication has succeeded.
+     */
+    journey.prototype.success = function () {
+        return !!this.currentCallbacks.tokenId;
+    };
+
+    /** @function failure
+     * How to determine if the authentication has failed.
+     */
+    journey.prototype.failure = function () {
+        return typeof this.currentCallbacks.authId === "undefined" &&
+            this.currentCallbacks.code === 401;
+    };
+
+    /** @function getStep
+     * @returns {Object} - the normalized model of the most recent response:
+     *  - status: "success", "failure" or "step"
+     *  - header, stage, template: the presentation details supplied by AM
+     *  - callbacks: the result of `normalizeCallback` for each callback in the step
+     *  - tokenId, successUrl, realm: present when the status is "success"
+     *  - reason, message: present when the status is "failure"
+     */
+    journey.prototype.getStep = function () {
+        let response = this.currentCallbacks;
+
+        if (this.success()) {
+            return {
+                status: "success",
+                tokenId: response.tokenId,
+                successUrl: response.successUrl,
+                realm: response.realm
+            };
+        } else if (this.failure()) {
+            return {
+                status: "failure",
+                reason: response.reason,
+                message: response.message
+            };
+        }
+        return {
+            status: "step",
+            header: response.header,
+            stage: response.stage,
+            template: response.template,
+            callbacks: (response.callbacks || []).map((callback, index) => this.normalizeCallback(callback, index))
+        };
+    };
+
+    /** @function normalizeCallback
+     * @param {Object} callback - structure of data returned from authentication API for this specific callback type
+     * @param {number} index - ordinal position of this callback relative to others
+     * @returns {Object} - a model of the callback:
+     *  - type: the callback type, e.g. "NameCallback"
+     *  - index: the ordinal position of the callback
+     *  - prompt: the text to present to the user, without any trailing colon
+     *  - output: a map of each output name to its value
+     *  - inputs: the list of input names and their current values
+     *  - getValue(inputIndex): reads the current value of an input (default: the first)
+     *  - setValue(value, inputIndex): sets the value to submit for an input (default: the first)
+     *  - required: true if a value must be supplied before the step can be submitted
+     *  - policies: the requirements of the field, each with a policyRequirement, params and message
+     *  - failedPolicies: the requirements the previously-submitted value failed, in the same form
+     *  - raw: the callback structure exactly as returned by AM
+     */
+    journey.prototype.normalizeCallback = function (callback, index) {
+        let output = (callback.output || []).reduce((result, item) => {
+                result[item.name] = item.value;
+                return result;
+            }, {}),
+            // a single input may be supplied as an object, rather than a list
+            inputs = [].concat(callback.input || []),
+            withMessage = (policy) => ({
+                policyRequirement: policy.policyRequirement,
+                params: policy.params,
+                message: policies.getMessage(policy, this.i18n)
+            }),
+            requirements = policies.parsePolicies(output.policies).map(withMessage);
+
+        return {
+            type: callback.type,
+            index,
+            prompt: typeof output.prompt === "string" ? output.prompt.replace(/:$/, "") : "",
+            output,
+            inputs: inputs.map((input) => ({ name: input.name, value: input.value })),
+            getValue: (inputIndex = 0) => inputs[inputIndex] && inputs[inputIndex].value,
+            setValue: (value, inputIndex = 0) => {
+                if (!inputs[inputIndex]) {
+                    throw new Error(`${callback.type} has no input at position ${inputIndex}`);
+                }
+                inputs[inputIndex].value = value;
+            },
+            required: output.required === true || output.isRequired === true ||
+                /^ValidatedCreate/.test(callback.type) ||
+                requirements.some((policy) => policy.policyRequirement === "REQUIRED"),
+            policies: requirements,
+            failedPolicies: policies.parseFailedPolicies(output.failedPolicies).map(withMessage),
+            raw: callback
+        };
+    };
+
+    /** @function validate
+     * Checks the values of the current callbacks before they are submitted: required fields must have
+     * a value, terms and conditions and required consent must be accepted, and security questions must
+     * have both a question and an answer.
+     * @returns {Object} - map of the position of each callback which failed to the list of messages describing why.
+     *  Empty if all of the checks passed.
+     */
+    journey.prototype.validate = function () {
+        return (this.currentCallbacks.callbacks || []).reduce((errors, rawCallback, index) => {
+            let callback = this.normalizeCallback(rawCallback, index),
+                failed;
+
+            switch (callback.type) {
+            case "TermsAndConditionsCallback":
+                failed = callback.getValue() !== true && "TERMS_NOT_ACCEPTED";
+                break;
+            case "ConsentMappingCallback":
+                failed = callback.required && callback.getValue() !== true && "CONSENT_REQUIRED";
+                break;
+            case "KbaCreateCallback":
+                failed = (isEmpty(callback.getValue(0)) || isEmpty(callback.getValue(1))) && "KBA_REQUIRED";
+                break;
+            case "BooleanAttributeInputCallback":
+                // false is a legitimate value for a boolean attribute
+                break;
+            default:
+                failed = callback.required && callback.inputs.length && isEmpty(callback.getValue()) && "REQUIRED";
+            }
+
+            if (failed) {
+                errors[index] = [policies.getMessage({ policyRequirement: failed }, this.i18n)];
+            }
+            return errors;
+        }, {});
+    };
+
+    /** @function saveState
+     * Keeps the current step in the `stateStorage`, so that the journey can be continued with `resume`
+     * once the user returns from being redirected elsewhere (such as to a social identity provider).
+     */
+    journey.prototype.saveState = function () {
+        if (this.stateStorage) {
+            this.stateStorage.setItem(this.stateKey, JSON.stringify({
+                authenticateUrl: this.authenticateUrl,
+                currentCallbacks: this.currentCallbacks,
+                journeyId: this.journeyId,
+                startedAt: this.startedAt
+            }));
+        }
+        return this;
+    };
+
+    /** @function getResumeParams
+     * @param {String} url - the URL the user has returned to
+     * @returns {Object} - the query parameters which should be sent to AM to continue the journey,
+     *  or null if the URL does not continue a journey
+     */
+    journey.prototype.getResumeParams = function (url) {
+        let params = request.parseQuery(url);
+        if (params.suspendedId) {
+            return { suspendedId: params.suspendedId };
+        }
+        let resumeParams = RESUME_PARAMS.reduce((result, name) => {
+            if (params[name] !== undefined) {
+                result[name] = params[name];
+            }
+            return result;
+        }, {});
+        return (resumeParams.code || resumeParams.form_post_entry || resumeParams.responsekey || resumeParams.error)
+            ? resumeParams : null;
+    };
+
+    /** @function resume
+     * @param {String} url - the URL the user has returned to, such as `window.location.href`
+     * @returns {Promise} - resolved with the step model produced by the response
+     *
+     * Continues a journey after the user returns to the application. A `suspendedId` (from a link
+     * sent by email, for instance) is sent to AM on its own. Otherwise the step kept by `saveState`
+     * is restored and posted again, along with the parameters returned by the identity provider
+     * (`code`, `state`, `form_post_entry`, etc...), and the journey keeps its `journeyId` and the time
+     * it started. If the URL does not continue a journey, a new one is started.
+     */
+    journey.prototype.resume = function (url) {
+        let params = this.getResumeParams(url),
+            saved = null;
+
+        if (!params) {
+            return this.start();
+        }
+
+        if (this.stateStorage) {
+            saved = JSON.parse(this.stateStorage.getItem(this.stateKey) || "null");
+            this.stateStorage.removeItem(this.stateKey);
+        }
+        // a suspendedId continues a journey on its own, without anything kept by this page
+        if (params.suspendedId || !saved || saved.authenticateUrl !== this.authenticateUrl) {
+            saved = null;
+        }
+
+        this.beginJourney({ resumed: true, startedAt: saved ? saved.startedAt : undefined }, saved && saved.journeyId);
+        this.stopPolling();
+        this.currentCallbacks = saved ? saved.currentCallbacks : {};
+        return this.submit(params, "resume");
+    };
+
+    /** @function handlePolling
+     * Called for every response from the authentication API. If the response includes a
+     * PollingWaitCallback, this schedules the current callbacks to be resubmitted after the
+     * requested `waitTime`, subject to the `pollingMaxAttempts` and `pollingTimeout` limits.
+     * If the response has no PollingWaitCallback, any polling state is reset.
+     */
+    journey.prototype.handlePolling = function () {
+        let pollingCallback = findType(this.currentCallbacks.callbacks, "PollingWaitCallback");
+
+        this.clearPollingTimer();
+        if (!pollingCallback) {
+            this.stopPolling();
+            return this;
+        }
+
+        if (!this.pollingInProgress) {
+            this.pollingInProgress = true;
+            this.pollingAttempts = 0;
+            this.pollingStarted = Date.now();
+        }
+
+        let waitTime = parseInt(findName(pollingCallback.output, "waitTime").value, 10) || 0,
+            attemptsExceeded = this.pollingMaxAttempts !== undefined &&
+                this.pollingAttempts >= this.pollingMaxAttempts,
+            timeExceeded = this.pollingTimeout !== undefined &&
+                (Date.now() - this.pollingStarted + waitTime) > this.pollingTimeout;
+
+        if (attemptsExceeded || timeExceeded) {
+            this.stopPolling();
+            if (this.pollingTimeoutHandler) {
+                this.pollingTimeoutHandler();
+            }
+            return this;
+        }
+
+        this.pollingTimer = setTimeout(() => {
+            this.pollingTimer = null;
+            this.pollingAttempts++;
+            this.emit("poll", { attempt: this.pollingAttempts, elapsed: Date.now() - this.pollingStarted });
+            // nothing else waits on this submission, so its failure must be handled here
+            this.submit(undefined, "poll").catch((error) => {
+                if (this.pollingErrorHandler) {
+                    this.pollingErrorHandler(error);
+                }
+            });
+        }, waitTime);
+        return this;
+    };
+
+    /** @function clearPollingTimer
+     * Cancels the pending resubmission of a PollingWaitCallback, if there is one.
+     */
+    journey.prototype.clearPollingTimer = function () {
+        if (this.pollingTimer) {
+            clearTimeout(this.pollingTimer);
+            this.pollingTimer = null;
+        }
+        return this;
+    };
+
+    /** @function stopPolling
+     * Cancels any pending resubmission and resets the polling state.
+     */
+    journey.prototype.stopPolling = function () {
+        this.clearPollingTimer();
+        this.pollingInProgress = false;
+        this.pollingAttempts = 0;
+        this.pollingStarted = null;
+        return this;
+    };
+
+    journey.JourneyError = JourneyError;
+    journey.policies = policies;
+    journey.I18n = i18n;
+    journey.config = config;
+    journey.middleware = middleware;
+    journey.Events = events;
+    journey.Metrics = metrics;
+    journey.findName = findName;
+    journey.findType = findType;
+
+    module.exports = journey;
+
+}());
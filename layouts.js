@@ -0,0 +1,149 @@
+(function () {
+    "use strict";
+
+    /**
+     * Chooses how the rendered callbacks of a step are laid out within the form. Layouts are registered
+     * against the `stage` or `template` names AM returns with each step, or against the signature of the
+     * step (the types of its callbacks, in order), and are given the rendered callbacks grouped by role.
+     * @module ForgeRockLayouts
+     */
+
+    const KINDS = ["stage", "template", "signature"];
+
+    let findOutput = (callback, name) => (callback.output || []).reduce(
+        (found, item) => found || (item.name === name && item), false
+    );
+
+    /**
+     * @param {Array|string} types - a list of callback types, or a signature which has already been joined
+     * @returns {string} - the signature, e.g. "NameCallback,PasswordCallback"
+     */
+    let toSignature = (types) => [].concat(types).join(",");
+
+    /**
+     * @param {Array} callbacks - the callbacks of a step
+     * @returns {string} - the types of the callbacks, in order, joined with commas, e.g. "NameCallback,PasswordCallback"
+     */
+    let getSignature = function (callbacks) {
+        return toSignature((callbacks || []).map((callback) => callback.type));
+    };
+
+    /**
+     * @param {Object} callback - structure of data returned from authentication API for the callback
+     * @returns {string} - the part the callback plays in the form: "action" for the buttons which submit it
+     *  (ConfirmationCallback and SelectIdPCallback), "message" for text shown to the user, "hidden" for callbacks
+     *  with nothing visible (including scripts), and "input" for everything else
+     */
+    let getRole = function (callback) {
+        switch (callback.type) {
+        case "ConfirmationCallback":
+        case "SelectIdPCallback":
+            return "action";
+        case "TextOutputCallback":
+            // Magic number 4 is for a <script>, taken from ScriptTextOutputCallback.java
+            return (findOutput(callback, "messageType") || {}).value === "4" ? "hidden" : "message";
+        case "PollingWaitCallback":
+            return "message";
+        case "HiddenValueCallback":
+        case "MetadataCallback":
+        case "RedirectCallback":
+            return "hidden";
+        default:
+            return "input";
+        }
+    };
+
+    /**
+     * @param {Object} [layouts] - the layouts to start with: `{ stage: {...}, template: {...}, signature: {...}, default }`
+     * @returns {Object} - a registry of layouts, for use with `register` and `find`
+     */
+    let createRegistry = function (layouts) {
+        layouts = layouts || {};
+        return KINDS.reduce((registry, kind) => {
+            registry[kind] = Object.keys(layouts[kind] || {}).reduce((result, key) => {
+                result[kind === "signature" ? toSignature(key) : key] = layouts[kind][key];
+                return result;
+            }, {});
+            return registry;
+        }, { default: layouts.default });
+    };
+
+    /**
+     * @param {Object} registry - produced by `createRegistry`
+     * @param {string} kind - "stage", "template", "signature" or "default"
+     * @param {string|Array} [key] - the name of the stage or template, or the list of callback types of the signature.
+     *  Omitted for the default layout.
+     * @param {function} layout - the layout to use for matching steps
+     */
+    let register = function (registry, kind, key, layout) {
+        if (kind === "default") {
+            registry.default = typeof key === "function" ? key : layout;
+        } else if (KINDS.indexOf(kind) !== -1) {
+            registry[kind][kind === "signature" ? toSignature(key) : key] = layout;
+        } else {
+            throw new Error(`"${kind}" is not a kind of layout; use one of ${KINDS.join(", ")} or default`);
+        }
+        return registry;
+    };
+
+    /**
+     * @param {Object} registry - produced by `createRegistry`
+     * @param {Object} step - the raw response of the step, with its `stage`, `template` and `callbacks`
+     * @returns {function} - the layout for the step: the one registered for its stage, else for its template,
+     *  else for its signature, else the default layout. Undefined if there is none.
+     */
+    let find = function (registry, step) {
+        let signature = getSignature(step.callbacks);
+        return (step.stage && registry.stage[step.stage]) ||
+            (step.template && registry.template[step.template]) ||
+            registry.signature[signature] ||
+            registry.default;
+    };
+
+    /**
+     * @param {Array} renderedCallbacks - the content rendered for each callback: a node, or a list of them
+     * @param {Array} callbacks - the callbacks rendered, in the same order
+     * @param {Object} [step] - the raw response of the step
+     * @returns {Object} - the argument given to layouts:
+     *  - header, stage, template: as returned by AM with the step
+     *  - signature: the types of the callbacks of the step, joined with commas
+     *  - callbacks: for each callback, by position, its { type, index, role, nodes }
+     *  - roles: the nodes of all of the callbacks of each role ("input", "message", "action" and "hidden"), in order
+     *  - nodes: the nodes of every callback, in order
+     */
+    let getParts = function (renderedCallbacks, callbacks, step) {
+        step = step || {};
+        let parts = (renderedCallbacks || []).map((rendered, index) => {
+            let callback = callbacks[index] || {};
+            return {
+                type: callback.type,
+                index,
+                role: getRole(callback),
+                nodes: [].concat(rendered === undefined || rendered === null ? [] : rendered)
+                    .reduce((result, item) => result.concat(item), [])
+            };
+        });
+        return {
+            header: step.header,
+            stage: step.stage,
+            template: step.template,
+            signature: getSignature(step.callbacks),
+            callbacks: parts,
+            roles: parts.reduce((result, part) => {
+                result[part.role] = result[part.role].concat(part.nodes);
+                return result;
+            }, { input: [], message: [], action: [], hidden: [] }),
+            nodes: parts.reduce((result, part) => result.concat(part.nodes), [])
+        };
+    };
+
+    module.exports = {
+        getSignature,
+        getRole,
+        createRegistry,
+        register,
+        find,
+        getParts
+    };
+
+}());
@@ -0,0 +1,198 @@
+(function () {
+    "use strict";
+
+    /**
+     * Aggregates the events of a journey (see `ForgeRockEvents`) into a summary of each journey, such as
+     * the time taken to authenticate, the number of steps, and the step at which the user gave up, which
+     * can be forwarded to an analytics service. The summary contains no values entered by the user.
+     * @module ForgeRockMetrics
+     */
+
+    let lastOf = (list) => list[list.length - 1];
+
+    /**
+     * @constructor
+     * @param {Object} [options]
+     * @param {function} [options.handler] - Function to call with the summary (see `getSummary`) whenever a journey
+     *  ends: when it succeeds or fails, or is abandoned, by starting another journey, destroying it or leaving the page.
+     *  Leaving the page for a redirect doesn't end the journey, since it continues once the user returns
+     */
+    let metrics = function (options) {
+        options = options || {};
+        this.handler = options.handler;
+        this.journey = null;
+        if (typeof window !== "undefined" && window.addEventListener) {
+            // a journey still in progress when the user leaves the page has been abandoned
+            this.pageHideListener = () => this.end("abandoned");
+            window.addEventListener("pagehide", this.pageHideListener);
+        }
+        return this;
+    };
+
+    /** @function record
+     * @param {Object} event - an event emitted by the journey (or the renderer)
+     *
+     * Updates the summary of the current journey with the event.
+     */
+    metrics.prototype.record = function (event) {
+        let current = this.journey;
+
+        if (event.type === "start") {
+            // the journey continues when it is restarted because the authId expired
+            if (current && event.restarted && !current.outcome) {
+                return this;
+            }
+            this.end("abandoned");
+            this.journey = {
+                journeyId: event.journeyId,
+                resumed: !!event.resumed,
+                // a journey resumed after a redirect started on an earlier page
+                startedAt: event.startedAt || event.timestamp,
+                steps: [],
+                submitCount: 0,
+                pollCount: 0,
+                latencies: [],
+                errors: []
+            };
+            return this;
+        }
+        if (event.type === "destroy") {
+            this.end("abandoned", event.timestamp);
+            if (this.pageHideListener) {
+                window.removeEventListener("pagehide", this.pageHideListener);
+                this.pageHideListener = null;
+            }
+            return this;
+        }
+        if (!current || current.outcome) {
+            return this;
+        }
+
+        switch (event.type) {
+        case "step":
+            // polling responses repeat the step being waited upon
+            if (event.action !== "poll" || !current.steps.length) {
+                this.endStep(event.timestamp);
+                current.steps.push({
+                    stage: event.stage,
+                    template: event.template,
+                    callbackTypes: event.callbackTypes,
+                    shownAt: event.timestamp
+                });
+            }
+            break;
+        case "submit":
+            current.submitCount++;
+            this.endStep(event.timestamp);
+            break;
+        case "poll":
+            current.pollCount++;
+            break;
+        case "redirect":
+            // the journey is continued (with the same journeyId) by `resume`, on the page the user returns to
+            current.redirected = true;
+            this.endStep(event.timestamp);
+            break;
+        case "response":
+            current.latencies.push(event.latency);
+            break;
+        case "error":
+            current.errors.push(event.errorType);
+            break;
+        case "success":
+        case "failure":
+            this.end(event.type, event.timestamp);
+            break;
+        }
+        return this;
+    };
+
+    /** @function endStep
+     * @param {number} timestamp
+     *
+     * Records how long the user spent on the step being shown, if its time isn't already known.
+     */
+    metrics.prototype.endStep = function (timestamp) {
+        let step = this.journey && lastOf(this.journey.steps);
+        if (step && step.duration === undefined) {
+            step.duration = timestamp - step.shownAt;
+        }
+        return this;
+    };
+
+    /** @function end
+     * @param {string} outcome - "success", "failure" or "abandoned"
+     * @param {number} [timestamp=Date.now()]
+     *
+     * Ends the current journey (if it is still in progress) and passes its summary to the `handler`. A journey
+     * the user has been redirected away from is not abandoned; it ends on the page the user returns to.
+     */
+    metrics.prototype.end = function (outcome, timestamp) {
+        let current = this.journey;
+        if (!current || current.outcome || (outcome === "abandoned" && current.redirected)) {
+            return this;
+        }
+        current.endedAt = timestamp || Date.now();
+        current.outcome = outcome;
+        this.endStep(current.endedAt);
+        if (this.handler) {
+            this.handler(this.getSummary());
+        }
+        return this;
+    };
+
+    /** @function getSummary
+     * @returns {Object} - the summary of the current (or most recent) journey, or null if none has started:
+     *  - journeyId: identifies the journey in the events emitted while it was in progress
+     *  - outcome: "success", "failure" or "abandoned", or undefined while the journey is in progress
+     *  - resumed: true if the journey was continued after returning from a redirect
+     *  - startedAt, endedAt: when the journey started and ended (ms since the epoch)
+     *  - duration: the time (in ms) the journey has taken so far
+     *  - timeToAuthenticate: the time (in ms) taken to authenticate, when the outcome is "success"
+     *  - stepCount: the number of steps shown (polling for the same step counts once)
+     *  - steps: the `stage`, `template`, `callbackTypes` and `duration` (time spent by the user) of each step
+     *  - submitCount, pollCount: the number of times a step was submitted, and resubmitted by polling
+     *  - requestCount, averageLatency: the number of responses received, and the average time (in ms) they took
+     *  - errors: the type of each `JourneyError` encountered
+     *  - lastStep: the last step shown, which for a journey which didn't succeed is where it was abandoned (or failed)
+     *  - abandonedAt: the last step shown, when the outcome is "abandoned"
+     */
+    metrics.prototype.getSummary = function () {
+        let current = this.journey;
+        if (!current) {
+            return null;
+        }
+        let duration = (current.endedAt || Date.now()) - current.startedAt,
+            last = lastOf(current.steps),
+            lastStep = last ? { stage: last.stage, template: last.template, callbackTypes: last.callbackTypes } : null;
+
+        return {
+            journeyId: current.journeyId,
+            outcome: current.outcome,
+            resumed: current.resumed,
+            startedAt: current.startedAt,
+            endedAt: current.endedAt,
+            duration,
+            timeToAuthenticate: current.outcome === "success" ? duration : null,
+            stepCount: current.steps.length,
+            steps: current.steps.map((step) => ({
+                stage: step.stage,
+                template: step.template,
+                callbackTypes: step.callbackTypes,
+                duration: step.duration
+            })),
+            submitCount: current.submitCount,
+            pollCount: current.pollCount,
+            requestCount: current.latencies.length,
+            averageLatency: current.latencies.length
+                ? Math.round(current.latencies.reduce((total, latency) => total + latency, 0) / current.latencies.length)
+                : null,
+            errors: current.errors.slice(),
+            lastStep,
+            abandonedAt: current.outcome === "abandoned" ? lastStep : null
+        };
+    };
+
+    module.exports = metrics;
+
+}());
@@ -0,0 +1,145 @@
+(function () {
+    "use strict";
+
+    /**
+     * Ready-made middleware for the requests made to AM. Supply them (along with your own) as the
+     * `middleware` option; see `ForgeRockRequest` for how middleware is called.
+     * @module ForgeRockMiddleware
+     */
+
+    const REDACTED = "********";
+
+    // callbacks whose inputs hold secrets
+    const SECRET_CALLBACKS = ["PasswordCallback", "ValidatedCreatePasswordCallback", "KbaCreateCallback"];
+
+    // parameters of form-encoded bodies, and headers, which hold secrets
+    const SECRET_NAMES = /password|secret|token|code|verifier|csrf|authorization|cookie|iplanetdirectorypro/i;
+
+    let randomId = () => {
+        let bytes = new Uint8Array(16);
+        if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+            crypto.getRandomValues(bytes);
+        } else {
+            bytes = bytes.map(() => Math.floor(Math.random() * 256));
+        }
+        return Array.prototype.map.call(bytes, (byte) => (byte + 0x100).toString(16).substring(1)).join("");
+    };
+
+    let redactForm = (form) => form.split("&").map((pair) => {
+        let name = pair.split("=")[0];
+        return SECRET_NAMES.test(decodeURIComponent(name)) ? `${name}=${REDACTED}` : pair;
+    }).join("&");
+
+    /**
+     * @param {string} url - the URL of a request to AM
+     * @returns {string} - the URL with the values of secret query parameters (such as an authorization `code`) replaced
+     */
+    let redactUrl = function (url) {
+        let position = url.indexOf("?");
+        return position === -1 ? url : `${url.substring(0, position)}?${redactForm(url.substring(position + 1))}`;
+    };
+
+    /**
+     * @param {string} body - the body of a request to AM
+     * @returns {string} - the body with the values of passwords, security answers, tokens and codes replaced,
+     *  so that it is safe to log
+     */
+    let redactBody = function (body) {
+        if (typeof body !== "string" || !body) {
+            return body;
+        }
+        try {
+            let json = JSON.parse(body);
+            (json.callbacks || []).forEach((callback) => {
+                if (SECRET_CALLBACKS.indexOf(callback.type) !== -1) {
+                    [].concat(callback.input || []).forEach((input) => {
+                        // the question of a KbaCreateCallback isn't a secret, only the answer
+                        if (callback.type !== "KbaCreateCallback" || /answer$/i.test(input.name)) {
+                            input.value = REDACTED;
+                        }
+                    });
+                }
+            });
+            if (json.tokenId) {
+                json.tokenId = REDACTED;
+            }
+            return JSON.stringify(json);
+        } catch (e) {
+            return redactForm(body);
+        }
+    };
+
+    /**
+     * @param {Object} [headers] - the headers of a request to AM
+     * @returns {Object} - a copy of the headers, with those holding secrets (such as the session cookie) replaced
+     */
+    let redactHeaders = function (headers) {
+        return Object.keys(headers || {}).reduce((result, name) => {
+            result[name] = SECRET_NAMES.test(name) ? REDACTED : headers[name];
+            return result;
+        }, {});
+    };
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.header=X-ForgeRock-TransactionId] - the name of the header to send
+     * @param {function} [options.generate] - Function to call with (context) to produce the transaction ID of each request.
+     *  By default, the ID is made of a random part shared by every request from the same middleware, and a sequence number
+     * @returns {function} - middleware which sends a transaction ID with every request, so that the requests can be found in
+     *  AM's audit logs. The ID is also recorded as the `transactionId` of the request context. Note that AM only uses the
+     *  ID if it has been configured to trust the transaction header.
+     */
+    let transactionId = function (options) {
+        options = options || {};
+        let header = options.header || "X-ForgeRock-TransactionId",
+            prefix = randomId(),
+            sequence = 0,
+            generate = options.generate || (() => `${prefix}-${sequence++}`);
+
+        return (req, next) => {
+            req.context.transactionId = generate(req.context);
+            req.options.headers = Object.assign({}, req.options.headers, { [header]: req.context.transactionId });
+            return next(req);
+        };
+    };
+
+    /**
+     * @param {Object} options
+     * @param {function} options.log - Function to call with (message, details) for every request and response,
+     *  such as `console.log.bind(console)`
+     * @returns {function} - middleware which logs each request (with passwords, security answers, tokens and session
+     *  cookies redacted), and the status of its response. Response bodies are not logged, as they can hold tokens.
+     */
+    let logger = function (options) {
+        let log = options && options.log;
+        if (typeof log !== "function") {
+            throw new Error("The log option is required for the logger middleware");
+        }
+
+        return (req, next) => {
+            let started = Date.now(),
+                label = `${req.options.method || "GET"} ${redactUrl(req.url)}`;
+            log(`request ${label}`, {
+                context: req.context,
+                headers: redactHeaders(req.options.headers),
+                body: redactBody(req.options.body)
+            });
+            return next(req).then((resp) => {
+                log(`response ${label}`, { context: req.context, status: resp.status, duration: Date.now() - started });
+                return resp;
+            }, (error) => {
+                log(`error ${label}`, { context: req.context, error, duration: Date.now() - started });
+                throw error;
+            });
+        };
+    };
+
+    module.exports = {
+        transactionId,
+        logger,
+        redactUrl,
+        redactBody,
+        redactHeaders
+    };
+
+}());
@@ -0,0 +1,431 @@
+(function () {
+    "use strict";
+
+    /**
+     * Module used to obtain OAuth 2.0 / OpenID Connect tokens from AM once a journey has established
+     * a session, using the authorization code grant with PKCE. Like the journey, it has no dependency
+     * on the DOM.
+     * @module ForgeRockOAuth
+     */
+    const JourneyError = require("./errors");
+    const request = require("./request");
+
+    // setTimeout fires immediately for anything longer than this
+    const MAX_TIMEOUT = 2147483647;
+    // how long (in ms) to wait for AM to redirect the frame of the authorization request, without a requestTimeout
+    const FRAME_TIMEOUT = 10000;
+    // how often (in ms) to look for the redirect in the frame
+    const FRAME_INTERVAL = 50;
+
+    let base64url = (buffer) => btoa(String.fromCharCode.apply(null, new Uint8Array(buffer)))
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_")
+        .replace(/=+$/, "");
+
+    let randomString = (size) => base64url(crypto.getRandomValues(new Uint8Array(size)));
+
+    let pkceChallenge = (verifier) => crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier))
+        .then(base64url);
+
+    let decodeJwtPayload = (jwt) => {
+        let payload = (jwt.split(".")[1] || "").replace(/-/g, "+").replace(/_/g, "/");
+        while (payload.length % 4) {
+            payload += "=";
+        }
+        return JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(payload), (c) => c.charCodeAt(0))));
+    };
+
+    let oauthError = (message, details) => new JourneyError(JourneyError.OAUTH, message, details);
+
+    /**
+     * Keeps tokens in memory, for the lifetime of the page
+     */
+    let memoryStore = function () {
+        let tokens = null;
+        return {
+            get: () => tokens,
+            set: (value) => {
+                tokens = value;
+            },
+            remove: () => {
+                tokens = null;
+            }
+        };
+    };
+
+    /**
+     * Keeps tokens in sessionStorage, so that they survive reloads of the page within the same tab
+     */
+    let sessionStorageStore = function (key) {
+        return {
+            get: () => JSON.parse(sessionStorage.getItem(key) || "null"),
+            set: (value) => sessionStorage.setItem(key, JSON.stringify(value)),
+            remove: () => sessionStorage.removeItem(key)
+        };
+    };
+
+    /**
+     * @constructor
+     * @param {Object} options
+     * @param {String} options.clientId - The OAuth 2.0 client registered in AM
+     * @param {String} options.redirectUri - The redirect URI registered for the client. It must be on the same origin as the application
+     * @param {String} [options.scope=openid] - Space-separated scopes to request
+     * @param {String} [options.authenticateUrl] - The URL to the AM authentication API; used to find the `oauthUrl` when it is not supplied
+     * @param {String} [options.oauthUrl] - The base URL of the OAuth 2.0 endpoints for the realm, e.g. "https://example.com/am/oauth2/realms/root"
+     * @param {String} [options.issuer] - The expected "iss" claim of ID tokens, as listed at `${oauthUrl}/.well-known/openid-configuration`.
+     *  Defaults to the `oauthUrl`, without the "/realms/root" which AM leaves out of the issuer for the root realm; see `getIssuer`
+     * @param {String|Object} [options.tokenStore=memory] - "memory", "sessionStorage", or an object with get, set and remove functions
+     * @param {boolean} [options.autoRefresh=false] - Whether to refresh the tokens automatically before the access token expires
+     * @param {number} [options.refreshThreshold=60] - Time (in seconds) before the access token expires at which to refresh it
+     * @param {number} [options.clockSkew=60] - Time (in seconds) of tolerance when checking the expiry of ID tokens
+     * @param {number} [options.requestTimeout] - Time (in ms) to wait for each response before giving up on it
+     * @param {String} [options.authorize] - How to make the authorization request: "frame", in a hidden iframe, or "request",
+     *  through the transport. Defaults to "frame" in the browser, and to "request" when a `transport` is supplied; see `authorize`
+     * @param {function} [options.transport] - Function to call with (url, requestOptions, context) to send each request, in place of `fetch`
+     * @param {Array} [options.middleware] - Functions to call with (req, next) for each request; see `ForgeRockRequest`
+     * @param {function} [options.errorHandler] - Function to call with a `JourneyError` if an automatic refresh fails
+     */
+    let oauth = function (options) {
+        this.clientId = options.clientId;
+        this.redirectUri = options.redirectUri;
+        this.scope = options.scope || "openid";
+        this.oauthUrl = options.oauthUrl || oauth.getOAuthUrl(options.authenticateUrl);
+        this.issuer = options.issuer || oauth.getIssuer(this.oauthUrl);
+        this.autoRefresh = !!options.autoRefresh;
+        this.refreshThreshold = options.refreshThreshold === undefined ? 60 : options.refreshThreshold;
+        this.clockSkew = options.clockSkew === undefined ? 60 : options.clockSkew;
+        this.requestTimeout = options.requestTimeout;
+        this.transport = options.transport;
+        this.authorizeMode = options.authorize ||
+            (options.transport || typeof document === "undefined" ? "request" : "frame");
+        this.middleware = options.middleware || [];
+        this.errorHandler = options.errorHandler;
+
+        if (!this.clientId || !this.redirectUri) {
+            throw new Error("The clientId and redirectUri options are required for OAuth");
+        }
+        if (!this.oauthUrl) {
+            throw new Error("The oauthUrl is unknown; supply it as an option");
+        }
+
+        if (options.tokenStore === "sessionStorage") {
+            this.tokenStore = sessionStorageStore(`forgerock-tokens-${this.clientId}`);
+        } else if (options.tokenStore && typeof options.tokenStore === "object") {
+            this.tokenStore = options.tokenStore;
+        } else {
+            this.tokenStore = memoryStore();
+        }
+        return this;
+    };
+
+    /**
+     * @param {String} authenticateUrl - e.g. "https://example.com/am/json/realms/root/authenticate"
+     * @returns {String} - the OAuth 2.0 endpoints for the same realm, e.g. "https://example.com/am/oauth2/realms/root",
+     *  or null if they cannot be found
+     */
+    oauth.getOAuthUrl = function (authenticateUrl) {
+        let path = (authenticateUrl || "").split("?")[0],
+            match = path.match(/^(.*)\/json(\/.*)?\/authenticate\/?$/);
+        return match ? `${match[1]}/oauth2${match[2] || ""}` : null;
+    };
+
+    /**
+     * @param {String} oauthUrl - e.g. "https://example.com/am/oauth2/realms/root/realms/alpha"
+     * @returns {String} - the issuer AM uses for the realm by default. This is the `oauthUrl`, except for the root
+     *  realm, whose issuer is "https://example.com/am/oauth2" even though its endpoints are also found at
+     *  "https://example.com/am/oauth2/realms/root"
+     */
+    oauth.getIssuer = function (oauthUrl) {
+        return oauthUrl && oauthUrl.replace(/\/realms\/root\/?$/, "");
+    };
+
+    /** @function authorize
+     * @param {String} [tokenId] - The SSO token of the session, used to approve the request
+     * @returns {Promise} - resolved with the token set (see `handleTokenResponse`), or rejected with a `JourneyError`
+     *
+     * Makes the authorization request (response_type=code, with PKCE S256, state and nonce) using the
+     * session established by the journey, then exchanges the code for tokens. A browser won't let a CORS
+     * request follow AM's redirect to the `redirectUri`, so by default the request is made in a hidden iframe
+     * (see `requestCodeInFrame`), with prompt=none. With the "request" `authorize` option, the consent is
+     * posted through the transport instead, which must follow the redirect and report the final `url`.
+     */
+    oauth.prototype.authorize = function (tokenId) {
+        let verifier = randomString(32),
+            state = randomString(16),
+            nonce = randomString(16);
+
+        return pkceChallenge(verifier)
+            .then((challenge) => {
+                let params = {
+                    client_id: this.clientId,
+                    redirect_uri: this.redirectUri,
+                    response_type: "code",
+                    scope: this.scope,
+                    state,
+                    nonce,
+                    code_challenge: challenge,
+                    code_challenge_method: "S256"
+                };
+                if (this.authorizeMode === "frame") {
+                    // AM redirects with an error rather than showing a page which the user cannot see
+                    params.prompt = "none";
+                    return this.requestCodeInFrame(`${this.oauthUrl}/authorize?${request.encodeForm(params)}`);
+                }
+                params.csrf = tokenId;
+                params.decision = tokenId ? "allow" : undefined;
+                return request(`${this.oauthUrl}/authorize`, {
+                    mode: "cors",
+                    method: "POST",
+                    credentials: "include",
+                    headers: {
+                        "content-type": "application/x-www-form-urlencoded"
+                    },
+                    body: request.encodeForm(params)
+                }, this.requestTimeout, this.requestSettings("authorize")).then((resp) => resp.url);
+            })
+            .then((url) => this.parseAuthorizeResponse(url, state))
+            .then((code) => this.requestTokens({
+                grant_type: "authorization_code",
+                code,
+                redirect_uri: this.redirectUri,
+                code_verifier: verifier
+            }))
+            .then((tokenResp) => this.handleTokenResponse(tokenResp, nonce));
+    };
+
+    /** @function requestCodeInFrame
+     * @param {String} url - the authorization request
+     * @returns {Promise} - resolved with the address of the frame once AM has redirected it to the `redirectUri`,
+     *  or rejected with a `JourneyError` if that doesn't happen within the `requestTimeout`
+     *
+     * Loads the authorization request in a hidden iframe. The frame sends AM's session cookie with the request,
+     * and its address can be read once it reaches the `redirectUri`, as that is on the same origin as the page.
+     */
+    oauth.prototype.requestCodeInFrame = function (url) {
+        let frame = document.createElement("iframe"),
+            timeout = this.requestTimeout || FRAME_TIMEOUT,
+            started = Date.now();
+        frame.hidden = true;
+        frame.setAttribute("aria-hidden", "true");
+
+        return new Promise((resolve, reject) => {
+            let timer = setInterval(() => {
+                let address;
+                try {
+                    address = frame.contentWindow.location.href;
+                } catch (e) {
+                    // the frame is still on AM's origin
+                    address = null;
+                }
+                if (address && address.split(/[?#]/)[0] === this.redirectUri) {
+                    clearInterval(timer);
+                    frame.remove();
+                    resolve(address);
+                } else if (Date.now() - started >= timeout) {
+                    clearInterval(timer);
+                    frame.remove();
+                    reject(oauthError("AM did not redirect the authorization request to the redirectUri; check that the " +
+                        "client allows implied consent, and that the redirectUri is on the same origin as the application"));
+                }
+            }, FRAME_INTERVAL);
+            frame.src = url;
+            document.body.appendChild(frame);
+        });
+    };
+
+    /** @function requestSettings
+     * @param {string} action - "authorize", "token", "refresh" or "revoke"
+     * @returns {Object} - the transport, middleware and context for a request to the OAuth 2.0 endpoints
+     */
+    oauth.prototype.requestSettings = function (action) {
+        return {
+            transport: this.transport,
+            middleware: this.middleware,
+            context: { source: "oauth", action }
+        };
+    };
+
+    /** @function parseAuthorizeResponse
+     * @param {String} url - the URL which AM redirected to
+     * @param {String} state - the state sent with the authorization request
+     * @returns {String} - the authorization code
+     */
+    oauth.prototype.parseAuthorizeResponse = function (url, state) {
+        let params = request.parseQuery(url);
+        if (params.error) {
+            throw oauthError(params.error_description || params.error);
+        }
+        if (params.state !== state) {
+            throw oauthError("The state returned from the authorization request does not match");
+        }
+        if (!params.code) {
+            throw oauthError("No authorization code was returned; check that the redirectUri is on the same origin as the application");
+        }
+        return params.code;
+    };
+
+    /** @function requestTokens
+     * @param {Object} params - the grant-specific parameters to post to the token endpoint
+     * @returns {Promise} - resolved with the parsed response from the token endpoint
+     */
+    oauth.prototype.requestTokens = function (params) {
+        params.client_id = this.clientId;
+        return request(`${this.oauthUrl}/access_token`, {
+            mode: "cors",
+            method: "POST",
+            credentials: "include",
+            headers: {
+                "content-type": "application/x-www-form-urlencoded"
+            },
+            body: request.encodeForm(params)
+        }, this.requestTimeout, this.requestSettings(params.grant_type === "refresh_token" ? "refresh" : "token"))
+            .then((resp) => request.parseJson(resp).then((jsonResp) => {
+                if (!resp.ok) {
+                    throw oauthError(jsonResp.error_description || jsonResp.error || `Unexpected status ${resp.status}`,
+                        { status: resp.status, response: jsonResp });
+                }
+                return jsonResp;
+            }));
+    };
+
+    /** @function handleTokenResponse
+     * @param {Object} tokenResp - the response from the token endpoint
+     * @param {String} [nonce] - the nonce the ID token must contain
+     * @returns {Object} - the token set, which is also stored and (if `autoRefresh` is set) scheduled for refresh:
+     *  - accessToken, idToken, refreshToken, tokenType, scope
+     *  - expiresAt: time (in ms since the epoch) at which the access token expires
+     *  - idTokenClaims: the verified claims of the ID token
+     */
+    oauth.prototype.handleTokenResponse = function (tokenResp, nonce) {
+        let previous = this.tokenStore.get() || {},
+            tokens = {
+                accessToken: tokenResp.access_token,
+                idToken: tokenResp.id_token || previous.idToken,
+                refreshToken: tokenResp.refresh_token || previous.refreshToken,
+                tokenType: tokenResp.token_type,
+                scope: tokenResp.scope,
+                expiresAt: tokenResp.expires_in ? Date.now() + tokenResp.expires_in * 1000 : undefined,
+                idTokenClaims: tokenResp.id_token ? this.verifyIdToken(tokenResp.id_token, nonce) : previous.idTokenClaims
+            };
+
+        this.tokenStore.set(tokens);
+        this.scheduleRefresh(tokens);
+        return tokens;
+    };
+
+    /** @function verifyIdToken
+     * @param {String} idToken - the ID token returned from the token endpoint
+     * @param {String} [nonce] - the nonce the ID token must contain; not checked when undefined (e.g. after a refresh)
+     * @returns {Object} - the claims of the ID token, if the iss, aud, azp, nonce and exp claims are as expected
+     *
+     * The signature of the token is not verified; it was received directly from the token endpoint over TLS.
+     */
+    oauth.prototype.verifyIdToken = function (idToken, nonce) {
+        let claims;
+        try {
+            claims = decodeJwtPayload(idToken);
+        } catch (e) {
+            throw oauthError("The ID token could not be decoded", { cause: e });
+        }
+        let audience = [].concat(claims.aud);
+
+        if (claims.iss !== this.issuer) {
+            throw oauthError(`The ID token was issued by "${claims.iss}", rather than "${this.issuer}"`);
+        }
+        if (audience.indexOf(this.clientId) === -1 || (audience.length > 1 && claims.azp !== this.clientId)) {
+            throw oauthError("The ID token was not issued for this client");
+        }
+        if (nonce !== undefined && claims.nonce !== nonce) {
+            throw oauthError("The nonce of the ID token does not match");
+        }
+        if (typeof claims.exp !== "number" || claims.exp * 1000 < Date.now() - this.clockSkew * 1000) {
+            throw oauthError("The ID token has expired");
+        }
+        return claims;
+    };
+
+    /** @function getTokens
+     * @returns {Object} - the stored token set, or null if there is none
+     */
+    oauth.prototype.getTokens = function () {
+        return this.tokenStore.get();
+    };
+
+    /** @function refresh
+     * @param {String} [tokenId] - The SSO token of the session; used to repeat the authorization request when there is no refresh token
+     * @returns {Promise} - resolved with the new token set
+     */
+    oauth.prototype.refresh = function (tokenId) {
+        let tokens = this.tokenStore.get();
+        if (tokens && tokens.refreshToken) {
+            return this.requestTokens({
+                grant_type: "refresh_token",
+                refresh_token: tokens.refreshToken,
+                scope: this.scope
+            }).then((tokenResp) => this.handleTokenResponse(tokenResp));
+        }
+        return this.authorize(tokenId);
+    };
+
+    /** @function scheduleRefresh
+     * @param {Object} tokens - the token set just stored
+     *
+     * When `autoRefresh` is set, arranges for the tokens to be refreshed `refreshThreshold` seconds before the
+     * access token expires. Failures are passed to the `errorHandler`.
+     */
+    oauth.prototype.scheduleRefresh = function (tokens) {
+        this.clearRefreshTimer();
+        if (this.autoRefresh && tokens.expiresAt) {
+            let refreshIn = Math.min(Math.max(tokens.expiresAt - this.refreshThreshold * 1000 - Date.now(), 0), MAX_TIMEOUT);
+            this.refreshTimer = setTimeout(() => {
+                this.refreshTimer = null;
+                this.refresh().catch((error) => {
+                    if (this.errorHandler) {
+                        this.errorHandler(error);
+                    }
+                });
+            }, refreshIn);
+        }
+        return this;
+    };
+
+    /** @function clearRefreshTimer
+     * Cancels the pending automatic refresh, if there is one.
+     */
+    oauth.prototype.clearRefreshTimer = function () {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        return this;
+    };
+
+    /** @function revoke
+     * Revokes the stored refresh and access tokens, and removes them from the store.
+     * @returns {Promise} - resolved once AM has revoked the tokens
+     */
+    oauth.prototype.revoke = function () {
+        let tokens = this.tokenStore.get() || {};
+        this.clearRefreshTimer();
+        this.tokenStore.remove();
+
+        return Promise.all([tokens.refreshToken, tokens.accessToken]
+            .filter((token) => token)
+            .map((token) => request(`${this.oauthUrl}/token/revoke`, {
+                mode: "cors",
+                method: "POST",
+                credentials: "include",
+                headers: {
+                    "content-type": "application/x-www-form-urlencoded"
+                },
+                body: request.encodeForm({ client_id: this.clientId, token })
+            }, this.requestTimeout, this.requestSettings("revoke")).then((resp) => {
+                if (!resp.ok) {
+                    throw oauthError(`Unable to revoke the token (status ${resp.status})`, { status: resp.status });
+                }
+            })));
+    };
+
+    module.exports = oauth;
+
+}());
@@ -0,0 +1,66 @@
+(function () {
+    "use strict";
+
+    /**
+     * Converts the `policies` and `failedPolicies` outputs of the self-service callbacks
+     * (e.g. ValidatedCreatePasswordCallback) into human-readable messages
+     * @module ForgeRockPolicies
+     */
+
+    const i18n = require("./i18n");
+
+    // used when no translator is supplied, so that the messages are in English
+    let defaultTranslator = new i18n({ locale: "en" });
+
+    let parseJson = (value) => {
+        if (typeof value !== "string") {
+            return value;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return { policyRequirement: value };
+        }
+    };
+
+    /**
+     * @param {Object} policy
+     * @param {string} policy.policyRequirement - e.g. "MIN_LENGTH"
+     * @param {Object} [policy.params] - e.g. { minLength: 8 }
+     * @param {Object} [translator] - the `ForgeRockI18n` instance to find the message with. By default, the English message is used
+     * @returns {string} - the message describing the policy
+     */
+    let getMessage = function (policy, translator) {
+        return (translator || defaultTranslator).translate(policy.policyRequirement, policy.params);
+    };
+
+    /**
+     * @param {Array} failedPolicies - the `failedPolicies` output; a list of policies (or JSON strings of them)
+     * @returns {Array} - list of { policyRequirement, params } objects
+     */
+    let parseFailedPolicies = function (failedPolicies) {
+        return (failedPolicies || []).map(parseJson)
+            .map((policy) => ({ policyRequirement: policy.policyRequirement, params: policy.params }));
+    };
+
+    /**
+     * @param {Object|string} policies - the `policies` output, describing all of the policies of the field
+     * @returns {Array} - list of { policyRequirement, params } objects, one for each requirement
+     */
+    let parsePolicies = function (policies) {
+        return ((parseJson(policies) || {}).policies || []).reduce((result, policy) =>
+            result.concat((policy.policyRequirements || []).map((policyRequirement) => ({
+                policyRequirement,
+                params: policy.params
+            }))), []);
+    };
+
+    module.exports = {
+        // the message templates are kept in the English catalog, along with the other messages produced by the client
+        messages: i18n.catalogs.en,
+        getMessage,
+        parseFailedPolicies,
+        parsePolicies
+    };
+
+}());
@@ -0,0 +1,147 @@
+(function () {
+    "use strict";
+
+    /**
+     * Shared handling of the HTTP requests made to AM by the journey, session and OAuth modules.
+     * Every request passes through the middleware supplied (if any) before it is sent by the transport.
+     * @module ForgeRockRequest
+     */
+    const JourneyError = require("./errors");
+
+    let defaultTransport = (url, requestOptions) => fetch(url, requestOptions);
+
+    /**
+     * @param {string} url - the URL to request
+     * @param {Object} requestOptions - options passed to `fetch`
+     * @param {number} [timeout] - Time (in ms) to wait for the response. The request is aborted, where
+     *  AbortController is available.
+     * @param {Object} [settings]
+     * @param {function} [settings.transport] - Function to call with (url, requestOptions, context) to send the request, in place
+     *  of `fetch`. It must return a Promise of a fetch-like response (with status, ok, url and json)
+     * @param {Array} [settings.middleware] - Functions to call with (req, next), in order, where req is { url, options, context }.
+     *  Each may change the req, and must call `next(req)` to continue the chain; `next` returns a Promise of the response,
+     *  which the middleware may inspect or replace before returning it
+     * @param {Object} [settings.context] - Details of the request for the middleware and transport, such as its `source` and `action`
+     * @param {Object} [settings.signal] - AbortSignal used to abandon the request
+     * @returns {Promise} - resolved with the fetch response, or rejected with a `JourneyError` of type NETWORK, TIMEOUT or ABORTED
+     */
+    let request = function (url, requestOptions, timeout, settings) {
+        settings = settings || {};
+        let signal = settings.signal,
+            controller = (timeout || signal) && typeof AbortController !== "undefined" ? new AbortController() : null,
+            timer,
+            timedOut = false,
+            abortError = () => new JourneyError(JourneyError.ABORTED, "The request was aborted"),
+            onAbort,
+            timeoutError = () => new JourneyError(JourneyError.TIMEOUT, `No response received within ${timeout}ms`),
+            // settled by a timeout or an abort, whichever happens first
+            interruption = new Promise((resolve, reject) => {
+                if (timeout) {
+                    timer = setTimeout(() => {
+                        timedOut = true;
+                        if (controller) {
+                            controller.abort();
+                        }
+                        reject(timeoutError());
+                    }, timeout);
+                }
+                if (signal) {
+                    onAbort = () => {
+                        if (controller) {
+                            controller.abort();
+                        }
+                        reject(abortError());
+                    };
+                    if (signal.aborted) {
+                        onAbort();
+                    } else {
+                        signal.addEventListener("abort", onAbort);
+                    }
+                }
+            }),
+            cleanUp = () => {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener("abort", onAbort);
+                }
+            };
+
+        if (controller) {
+            requestOptions.signal = controller.signal;
+        }
+
+        let transport = settings.transport || defaultTransport,
+            middleware = settings.middleware || [],
+            dispatch = (position, req) => Promise.resolve().then(() => position < middleware.length
+                ? middleware[position](req, (nextReq) => dispatch(position + 1, nextReq || req))
+                : transport(req.url, req.options, req.context));
+
+        return Promise.race([dispatch(0, { url, options: requestOptions, context: settings.context || {} }), interruption])
+            .then((resp) => {
+                cleanUp();
+                return resp;
+            }, (error) => {
+                cleanUp();
+                if (error instanceof JourneyError) {
+                    throw error;
+                }
+                if (signal && signal.aborted) {
+                    throw new JourneyError(JourneyError.ABORTED, "The request was aborted", { cause: error });
+                }
+                throw timedOut
+                    ? new JourneyError(JourneyError.TIMEOUT, `No response received within ${timeout}ms`, { cause: error })
+                    : new JourneyError(JourneyError.NETWORK, "Unable to reach AM", { cause: error });
+            });
+    };
+
+    /**
+     * @param {Object} resp - the fetch response
+     * @returns {Promise} - resolved with the parsed JSON object, or rejected with a `JourneyError`
+     *  of type MALFORMED_RESPONSE if the body is not a JSON object
+     */
+    request.parseJson = function (resp) {
+        return resp.json()
+            .catch((error) => {
+                throw new JourneyError(JourneyError.MALFORMED_RESPONSE,
+                    `Unable to parse the response (status ${resp.status})`, { status: resp.status, cause: error });
+            })
+            .then((jsonResp) => {
+                if (!jsonResp || typeof jsonResp !== "object") {
+                    throw new JourneyError(JourneyError.MALFORMED_RESPONSE,
+                        "The response is not a JSON object", { status: resp.status, response: jsonResp });
+                }
+                return jsonResp;
+            });
+    };
+
+    /**
+     * @param {Object} values - map of names to values; `undefined` values are skipped
+     * @returns {string} - the values encoded as "application/x-www-form-urlencoded" content
+     */
+    request.encodeForm = function (values) {
+        return Object.keys(values)
+            .filter((name) => values[name] !== undefined)
+            .map((name) => `${encodeURIComponent(name)}=${encodeURIComponent(values[name])}`)
+            .join("&");
+    };
+
+    /**
+     * @param {string} url - a URL, or just its query string
+     * @returns {Object} - map of the names to values found within the query string of the URL
+     */
+    request.parseQuery = function (url) {
+        let query = (url || "").split("#")[0];
+        query = query.indexOf("?") === -1 ? query : query.substring(query.indexOf("?") + 1);
+        return query.split("&").reduce((result, pair) => {
+            if (pair) {
+                let parts = pair.split("="),
+                    decode = (value) => decodeURIComponent((value || "").replace(/\+/g, " "));
+                result[decode(parts[0])] = decode(parts.slice(1).join("="));
+            }
+            return result;
+        }, {});
+    };
+
+    module.exports = request;
+
+}());
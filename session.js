@@ -0,0 +1,198 @@
+(function () {
+    "use strict";
+
+    /**
+     * Module used to work with the AM session established by a successful journey, using the
+     * `/json/sessions` endpoint which sits alongside the authentication API. Like the journey,
+     * it has no dependency on the DOM.
+     * @module ForgeRockSession
+     */
+    const JourneyError = require("./errors");
+    const request = require("./request");
+
+    // setTimeout fires immediately for anything longer than this
+    const MAX_TIMEOUT = 2147483647;
+    let schedule = (fn, ms) => setTimeout(fn, Math.min(Math.max(ms, 0), MAX_TIMEOUT));
+
+    /**
+     * @constructor
+     * @param {Object} options
+     * @param {String} options.authenticateUrl - The URL to the AM authentication API; the sessions endpoint is found relative to it
+     * @param {String} [options.sessionsUrl] - The URL to the AM sessions endpoint, if it cannot be found relative to the `authenticateUrl`
+     * @param {String} [options.tokenId] - The SSO token of the session. If not supplied, the session cookie is used
+     * @param {String} [options.cookieName=iPlanetDirectoryPro] - The name of the AM session cookie, used as the header which carries the tokenId
+     * @param {number} [options.requestTimeout] - Time (in ms) to wait for each response before giving up on it
+     * @param {function} [options.transport] - Function to call with (url, requestOptions, context) to send each request, in place of `fetch`
+     * @param {Array} [options.middleware] - Functions to call with (req, next) for each request; see `ForgeRockRequest`
+     * @param {number} [options.sessionWarningTime=60000] - Time (in ms) before the session expires at which to call the `sessionWarningHandler`
+     * @param {function} [options.sessionWarningHandler] - Function to call with (type, expiresAt) when the session is about to expire. Type is "idle" or "max"
+     * @param {function} [options.sessionExpiredHandler] - Function to call with (type) when the session has expired. Type is "idle" or "max"
+     */
+    let session = function (options) {
+        this.sessionsUrl = options.sessionsUrl || session.getSessionsUrl(options.authenticateUrl);
+        this.tokenId = options.tokenId;
+        this.cookieName = options.cookieName || "iPlanetDirectoryPro";
+        this.requestTimeout = options.requestTimeout;
+        this.transport = options.transport;
+        this.middleware = options.middleware || [];
+        this.sessionWarningTime = options.sessionWarningTime === undefined ? 60000 : options.sessionWarningTime;
+        this.sessionWarningHandler = options.sessionWarningHandler;
+        this.sessionExpiredHandler = options.sessionExpiredHandler;
+        this.watchTimers = [];
+        return this;
+    };
+
+    /**
+     * @param {String} authenticateUrl - e.g. "https://example.com/am/json/realms/root/authenticate?authIndexType=service&authIndexValue=ldapService"
+     * @returns {String} - the sessions endpoint for the same realm, e.g. "https://example.com/am/json/realms/root/sessions",
+     *  or null if the URL does not end with "/authenticate"
+     */
+    session.getSessionsUrl = function (authenticateUrl) {
+        let path = (authenticateUrl || "").split("?")[0];
+        return /\/authenticate\/?$/.test(path) ? path.replace(/\/authenticate\/?$/, "/sessions") : null;
+    };
+
+    /** @function request
+     * @param {string} action - the `_action` to perform on the sessions endpoint
+     * @param {string} apiVersion - the resource version of the action
+     * @param {Object} [body] - the content to post
+     * @returns {Promise} - resolved with the parsed response, or rejected with a `JourneyError`
+     */
+    session.prototype.request = function (action, apiVersion, body) {
+        if (!this.sessionsUrl) {
+            return Promise.reject(new Error("The sessionsUrl is unknown; supply it as an option"));
+        }
+        let headers = {
+            "accept-api-version": `protocol=1.0,resource=${apiVersion}`,
+            "content-type": "application/json"
+        };
+        if (this.tokenId) {
+            headers[this.cookieName] = this.tokenId;
+        }
+
+        return request(`${this.sessionsUrl}?_action=${action}`, {
+            mode: "cors",
+            method: "POST",
+            credentials: "include",
+            headers,
+            body: JSON.stringify(body || {})
+        }, this.requestTimeout, {
+            transport: this.transport,
+            middleware: this.middleware,
+            context: { source: "session", action }
+        })
+            .then((resp) => request.parseJson(resp).then((jsonResp) => {
+                if (!resp.ok) {
+                    throw new JourneyError(JourneyError.SERVER, jsonResp.message || `Unexpected status ${resp.status}`,
+                        { status: resp.status, response: jsonResp });
+                }
+                return jsonResp;
+            }));
+    };
+
+    /** @function validate
+     * @returns {Promise} - resolved with the response from AM, which includes `valid` (boolean), and, if valid, the `uid` and `realm`
+     */
+    session.prototype.validate = function () {
+        return this.request("validate", "2.1", this.tokenId ? { tokenId: this.tokenId } : {});
+    };
+
+    /** @function getInfo
+     * @returns {Promise} - resolved with the details of the session, including `username`, `universalId`, `realm`,
+     *  `latestAccessTime`, `maxIdleExpirationTime` and `maxSessionExpirationTime`
+     */
+    session.prototype.getInfo = function () {
+        return this.request("getSessionInfo", "2.1", this.tokenId ? { tokenId: this.tokenId } : {})
+            .then((info) => this.scheduleWatch(info));
+    };
+
+    /** @function refresh
+     * Resets the idle time of the session.
+     * @returns {Promise} - resolved with the updated details of the session (in the same form as `getInfo`)
+     */
+    session.prototype.refresh = function () {
+        return this.request("refresh", "2.1", this.tokenId ? { tokenId: this.tokenId } : {})
+            .then((info) => this.scheduleWatch(info));
+    };
+
+    /** @function logout
+     * Ends the session, and stops watching it.
+     * @returns {Promise} - resolved with the response from AM
+     */
+    session.prototype.logout = function () {
+        return this.request("logout", "3.1")
+            .then((result) => {
+                this.unwatch();
+                this.tokenId = undefined;
+                return result;
+            });
+    };
+
+    /** @function watch
+     * Starts watching the session for its approaching idle and maximum expiration times, calling the
+     * `sessionWarningHandler` `sessionWarningTime` ms ahead of each, and the `sessionExpiredHandler`
+     * once they are reached. Every later call to `getInfo` or `refresh` reschedules the watchers.
+     * @returns {Promise} - resolved with the details of the session
+     */
+    session.prototype.watch = function () {
+        this.watching = true;
+        return this.getInfo();
+    };
+
+    /** @function unwatch
+     * Stops watching the session.
+     */
+    session.prototype.unwatch = function () {
+        this.watching = false;
+        this.clearWatchTimers();
+        return this;
+    };
+
+    /** @function clearWatchTimers
+     * Cancels any pending warning or expiry notifications.
+     */
+    session.prototype.clearWatchTimers = function () {
+        this.watchTimers.forEach((timer) => clearTimeout(timer));
+        this.watchTimers = [];
+        return this;
+    };
+
+    /** @function scheduleWatch
+     * @param {Object} info - the details of the session, as returned by `getInfo`
+     * @returns {Object} - the same details, unchanged
+     *
+     * When watching, (re)schedules the warning and expiry notifications based on the expiration
+     * times of the session.
+     */
+    session.prototype.scheduleWatch = function (info) {
+        if (!this.watching) {
+            return info;
+        }
+        this.clearWatchTimers();
+
+        [
+            { type: "idle", expiresAt: info.maxIdleExpirationTime },
+            { type: "max", expiresAt: info.maxSessionExpirationTime }
+        ].forEach((expiry) => {
+            let expiresIn = Date.parse(expiry.expiresAt) - Date.now();
+            if (isNaN(expiresIn)) {
+                return;
+            }
+            if (this.sessionWarningHandler) {
+                this.watchTimers.push(schedule(() => {
+                    this.sessionWarningHandler(expiry.type, new Date(expiry.expiresAt));
+                }, expiresIn - this.sessionWarningTime));
+            }
+            this.watchTimers.push(schedule(() => {
+                this.clearWatchTimers();
+                if (this.sessionExpiredHandler) {
+                    this.sessionExpiredHandler(expiry.type);
+                }
+            }, expiresIn));
+        });
+        return info;
+    };
+
+    module.exports = session;
+
+}());
@@ -0,0 +1,92 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const config = require("../config");
+const Journey = require("../journey");
+const helpers = require("./helpers");
+
+describe("Config", () => {
+    it("builds the authenticateUrl of a tree in a realm", () => {
+        assert.strictEqual(config.buildAuthenticateUrl({
+            serverUrl: "https://am.example.com/am/",
+            realm: "/alpha/sub",
+            tree: "Login",
+            forceAuth: true
+        }), "https://am.example.com/am/json/realms/root/realms/alpha/realms/sub/authenticate?authIndexType=service&authIndexValue=Login&ForceAuth=true");
+        assert.strictEqual(config.buildAuthenticateUrl({ serverUrl: "https://am.example.com/am" }),
+            "https://am.example.com/am/json/realms/root/authenticate");
+    });
+
+    it("adds the options to the query of an authenticateUrl", () => {
+        assert.strictEqual(config.buildAuthenticateUrl({
+            authenticateUrl: "https://am.example.com/am/json/realms/root/authenticate?locale=fr",
+            level: 2,
+            noSession: true
+        }), "https://am.example.com/am/json/realms/root/authenticate?locale=fr&authIndexType=level&authIndexValue=2&noSession=true");
+    });
+
+    it("rejects options which conflict or are not valid", () => {
+        assert.throws(() => config.buildAuthenticateUrl({}), /serverUrl or the authenticateUrl/);
+        assert.throws(() => config.buildAuthenticateUrl({ serverUrl: "https://am.example.com/am", tree: "A", module: "B" }),
+            /Only one of tree, module/);
+        assert.throws(() => config.buildAuthenticateUrl({ authenticateUrl: "https://am.example.com/am/json/authenticate", realm: "alpha" }),
+            /serverUrl/);
+        assert.throws(() => config.getRealmPath("alpha/../beta"), /not a valid realm/);
+    });
+
+    it("writes composite advice as XML", () => {
+        assert.strictEqual(config.getCompositeAdvice({ AuthLevelConditionAdvice: [1, 2], "<Other>": "a&b" }),
+            "<Advices><AttributeValuePair><Attribute name=\"AuthLevelConditionAdvice\"/><Value>1</Value><Value>2</Value></AttributeValuePair>" +
+            "<AttributeValuePair><Attribute name=\"&#60;Other&#62;\"/><Value>a&#38;b</Value></AttributeValuePair></Advices>");
+    });
+
+    it("only allows redirects to the URLs in the allowlist", () => {
+        let allowlist = ["https://app.example.com/app", "https://other.example.com", /^https:\/\/[a-z]+\.example\.org\//];
+
+        assert.ok(config.isRedirectAllowed("https://app.example.com/app", allowlist));
+        assert.ok(config.isRedirectAllowed("https://app.example.com/app/home?tab=1", allowlist));
+        assert.ok(config.isRedirectAllowed("https://app.example.com/app#top", allowlist));
+        assert.ok(config.isRedirectAllowed("https://other.example.com/anything", allowlist));
+        assert.ok(config.isRedirectAllowed("https://www.example.org/", allowlist));
+        assert.ok(!config.isRedirectAllowed("https://app.example.com/", allowlist));
+        assert.ok(!config.isRedirectAllowed("https://app.example.com/app-old", allowlist));
+        assert.ok(!config.isRedirectAllowed("https://other.example.com.evil.example.net/", allowlist));
+        assert.ok(!config.isRedirectAllowed("https://evil.example.net/app", allowlist));
+        assert.ok(!config.isRedirectAllowed("javascript:alert(1)", allowlist));
+        assert.throws(() => config.buildAuthenticateUrl({ serverUrl: "https://am.example.com/am", goto: "https://evil.example.net" }),
+            /not within the redirectAllowlist/);
+        // those already within the query string of the authenticateUrl are checked too
+        assert.throws(() => config.buildAuthenticateUrl({
+            authenticateUrl: `https://am.example.com/am/json/realms/root/authenticate?gotoOnFail=${encodeURIComponent("https://evil.example.net")}`,
+            noSession: true,
+            redirectAllowlist: allowlist
+        }), /The gotoOnFail URL "https:\/\/evil.example.net" is not within the redirectAllowlist/);
+        assert.strictEqual(config.buildAuthenticateUrl({
+            authenticateUrl: "https://am.example.com/am/json/realms/root/authenticate?goto=https%3A%2F%2Fother.example.com%2Fhome",
+            redirectAllowlist: allowlist
+        }), "https://am.example.com/am/json/realms/root/authenticate?goto=https%3A%2F%2Fother.example.com%2Fhome");
+    });
+
+    it("starts a journey in another tree, replacing the one used before", () => {
+        let server = helpers.fakeServer(() => helpers.respond(helpers.step([helpers.nameCallback()]))),
+            journey = new Journey({ serverUrl: "https://am.example.com/am", realm: "alpha", module: "DataStore", noSession: true,
+                transport: server.transport });
+
+        return journey.start()
+            .then(() => journey.start({ tree: "Registration" }))
+            .then(() => journey.start({ goto: "https://evil.example.net" }).then(() => assert.fail("expected the goto to be rejected"),
+                (error) => assert.ok(/not within the redirectAllowlist/.test(error.message))))
+            .then(() => assert.throws(() => new Journey({ authenticateUrl: "https://am.example.com/am/json/realms/root/authenticate?goto=javascript:alert(1)" }),
+                /The goto URL "javascript:alert\(1\)" is not within the redirectAllowlist/))
+            .then(() => {
+                assert.deepStrictEqual(server.requests.map((req) => req.url), [
+                    "https://am.example.com/am/json/realms/root/realms/alpha/authenticate?authIndexType=module&authIndexValue=DataStore&noSession=true",
+                    "https://am.example.com/am/json/realms/root/realms/alpha/authenticate?authIndexType=service&authIndexValue=Registration&noSession=true"
+                ]);
+            });
+    });
+
+    it("picks the URL options out of other options", () => {
+        assert.deepStrictEqual(config.pick({ serverUrl: "https://am.example.com/am", tree: "Login", locale: "fr" }),
+            { serverUrl: "https://am.example.com/am", tree: "Login" });
+    });
+});
@@ -0,0 +1,124 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const helpers = require("./helpers");
+
+/**
+ * @param {Object} target
+ * @param {string} type - the type of DOM event
+ * @returns {Promise} - resolved with the next event of the type dispatched from the target
+ */
+let nextEvent = (target, type) => new Promise((resolve) => {
+    target.addEventListener(type, resolve, { once: true });
+});
+
+let createElement = (attributes, options) => {
+    let el = document.createElement("forgerock-login");
+    Object.keys(attributes).forEach((name) => el.setAttribute(name, attributes[name]));
+    if (options) {
+        el.options = options;
+    }
+    return el;
+};
+
+describe("<forgerock-login>", () => {
+    before(() => {
+        helpers.createDom();
+        require("../index");
+    });
+
+    beforeEach(() => {
+        document.body.textContent = "";
+    });
+
+    it("starts the journey configured by its attributes, once added to the page", () => {
+        let server = helpers.fakeServer([helpers.respond(helpers.step([helpers.nameCallback(), helpers.passwordCallback()], { stage: "LOGIN" }))]),
+            el = createElement({ "server-url": "https://am.example.com/am", realm: "alpha", tree: "Login", retries: "0", "force-auth": "" },
+                { transport: server.transport }),
+            stepped = nextEvent(el, "step");
+
+        document.body.appendChild(el);
+        return stepped.then((event) => {
+            assert.strictEqual(server.requests[0].url,
+                "https://am.example.com/am/json/realms/root/realms/alpha/authenticate?authIndexType=service&authIndexValue=Login&ForceAuth=true");
+            assert.deepStrictEqual(event.detail.callbackTypes, ["NameCallback", "PasswordCallback"]);
+            assert.strictEqual(event.detail.stage, "LOGIN");
+            assert.strictEqual(el.login.journey.retries, 0);
+            assert.strictEqual(el.shadowRoot.querySelector("form").getAttribute("part"), "form");
+            assert.strictEqual(el.shadowRoot.querySelector("#callback_0").getAttribute("part"), "input");
+            assert.strictEqual(el.shadowRoot.querySelector("input[type=submit]").getAttribute("part"), "button");
+        });
+    });
+
+    it("doesn't start until asked when it has the manual attribute", () => {
+        let server = helpers.fakeServer([helpers.respond(helpers.step([helpers.nameCallback()]))]),
+            el = createElement({ "authenticate-url": "https://am.example.com/am/json/realms/root/authenticate", manual: "" },
+                { transport: server.transport });
+
+        document.body.appendChild(el);
+        return helpers.wait(10)
+            .then(() => {
+                assert.strictEqual(server.requests.length, 0);
+                return el.start({ tree: "Registration" });
+            })
+            .then(() => assert.ok(/authIndexValue=Registration/.test(server.requests[0].url)));
+    });
+
+    it("reports a configuration error when it has no server", () => {
+        let el = createElement({}),
+            errored = nextEvent(document.body, "login-error");
+
+        document.body.appendChild(el);
+        return errored.then((event) => {
+            assert.strictEqual(event.detail.type, "configuration");
+            assert.strictEqual(el.login, null);
+        });
+    });
+
+    it("marks itself as authenticated, and reports success", () => {
+        let server = helpers.fakeServer([helpers.respond(helpers.success({ realm: "/alpha" }))]),
+            successes = [],
+            el = createElement({ "server-url": "https://am.example.com/am" }, {
+                transport: server.transport,
+                successHandler: (tokenId) => successes.push(tokenId)
+            }),
+            succeeded = nextEvent(el, "login-success");
+
+        document.body.appendChild(el);
+        return succeeded.then((event) => {
+            assert.strictEqual(event.detail.realm, "/alpha");
+            assert.ok(el.hasAttribute("authenticated"));
+            assert.deepStrictEqual(successes, ["token-id"]);
+        });
+    });
+
+    it("reports errors as login-error events", () => {
+        let server = helpers.fakeServer([helpers.respond({ code: 500, message: "Internal Server Error" }, 500)]),
+            el = createElement({ "server-url": "https://am.example.com/am" }, { transport: server.transport }),
+            errored = nextEvent(el, "login-error");
+
+        document.body.appendChild(el);
+        return errored.then((event) => {
+            assert.strictEqual(event.detail.type, "server");
+            assert.strictEqual(event.detail.status, 500);
+        });
+    });
+
+    it("restarts the journey once when several attributes change together, and stops when removed", () => {
+        let server = helpers.fakeServer(() => helpers.respond(helpers.step([helpers.nameCallback()]))),
+            el = createElement({ "server-url": "https://am.example.com/am" }, { transport: server.transport });
+
+        document.body.appendChild(el);
+        return helpers.wait(10)
+            .then(() => {
+                el.setAttribute("realm", "alpha");
+                el.setAttribute("tree", "Login");
+                return helpers.wait(10);
+            })
+            .then(() => {
+                assert.strictEqual(server.requests.length, 2);
+                assert.ok(/realms\/alpha\/authenticate\?authIndexType=service&authIndexValue=Login$/.test(server.requests[1].url));
+                el.remove();
+                assert.strictEqual(el.login, null);
+            });
+    });
+});
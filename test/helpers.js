@@ -0,0 +1,127 @@
+/**
+ * Shared by the tests: a fake AM server (used as the `transport` of the journey, session and OAuth
+ * modules), builders for the responses of the authentication API, and a DOM provided by jsdom.
+ */
+const request = require("../request");
+
+/**
+ * @param {Object} body - the parsed JSON of the response
+ * @param {number} [status=200]
+ * @param {string} [url] - the final URL of the response, after any redirects
+ * @returns {Object} - a fetch-like response
+ */
+let respond = (body, status = 200, url) => ({
+    status,
+    ok: status >= 200 && status < 300,
+    url,
+    json: () => Promise.resolve(body)
+});
+
+/**
+ * @returns {Promise} - rejected in the same way as `fetch` when the server cannot be reached
+ */
+let networkError = () => Promise.reject(new TypeError("Failed to fetch"));
+
+let parseBody = (body) => {
+    if (typeof body !== "string") {
+        return body;
+    }
+    return body.charAt(0) === "{" ? JSON.parse(body) : request.parseQuery(body);
+};
+
+/**
+ * @param {function|Array} handler - Function to call with (req, position) for each request, where req is
+ *  { url, options, context, body }, returning the response (or a Promise of it). Alternatively, a list of
+ *  the responses (or of such functions) to give, in order.
+ * @returns {Object} - { transport, requests }, where requests lists every request received
+ */
+let fakeServer = (handler) => {
+    let requests = [],
+        respondTo = Array.isArray(handler)
+            ? (req, position) => {
+                let next = handler[position];
+                if (next === undefined) {
+                    throw new Error(`Unexpected request ${position + 1} to ${req.url}`);
+                }
+                return typeof next === "function" ? next(req) : next;
+            }
+            : handler;
+
+    return {
+        requests,
+        transport: (url, options, context) => {
+            let req = { url, options, context, body: parseBody(options.body) };
+            requests.push(req);
+            return Promise.resolve().then(() => respondTo(req, requests.length - 1));
+        }
+    };
+};
+
+let callback = (type, output, input) => ({
+    type,
+    output: output || [],
+    input: input || []
+});
+
+let nameCallback = (index = 1) => callback("NameCallback",
+    [{ name: "prompt", value: "User Name" }],
+    [{ name: `IDToken${index}`, value: "" }]);
+
+let passwordCallback = (index = 2) => callback("PasswordCallback",
+    [{ name: "prompt", value: "Password" }],
+    [{ name: `IDToken${index}`, value: "" }]);
+
+let pollingCallback = (waitTime = 10) => callback("PollingWaitCallback",
+    [{ name: "waitTime", value: String(waitTime) }, { name: "message", value: "Waiting for approval" }]);
+
+let confirmationCallback = (options, index = 2) => callback("ConfirmationCallback",
+    [{ name: "prompt", value: "" }, { name: "options", value: options }, { name: "defaultOption", value: 0 }],
+    [{ name: `IDToken${index}`, value: 100 }]);
+
+/**
+ * @param {Array} callbacks
+ * @param {Object} [details] - other properties of the step, such as the `stage`
+ * @returns {Object} - the response of the authentication API for a step of the journey
+ */
+let step = (callbacks, details) => Object.assign({ authId: "auth-id", callbacks }, details);
+
+let success = (details) => Object.assign({ tokenId: "token-id", successUrl: "https://am.example.com/console", realm: "/" }, details);
+
+let failure = () => respond({ code: 401, reason: "Unauthorized", message: "Authentication Failed" }, 401);
+
+let wait = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Provides the browser globals used by the renderer and the custom element, from a new jsdom window.
+ * @returns {Object} - the window
+ */
+let createDom = () => {
+    const { JSDOM } = require("jsdom");
+    let window = new JSDOM("<!DOCTYPE html><body></body>", { url: "https://app.example.com/login" }).window;
+    ["window", "document", "navigator", "HTMLElement", "customElements", "CustomEvent", "Event", "Node", "FormData",
+        "sessionStorage"]
+        .forEach((name) => {
+            Object.defineProperty(global, name, {
+                value: name === "window" ? window : window[name],
+                configurable: true,
+                writable: true
+            });
+        });
+    return window;
+};
+
+module.exports = {
+    respond,
+    networkError,
+    fakeServer,
+    callback,
+    nameCallback,
+    passwordCallback,
+    pollingCallback,
+    confirmationCallback,
+    step,
+    success,
+    failure,
+    wait,
+    createDom
+};
@@ -0,0 +1,143 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert");
+const I18n = require("../i18n");
+const Journey = require("../journey");
+const helpers = require("./helpers");
+
+const authenticateUrl = "https://am.example.com/am/json/realms/root/authenticate";
+
+let setLanguages = (languages) => Object.defineProperty(global, "navigator", {
+    value: { languages },
+    configurable: true,
+    writable: true
+});
+
+describe("I18n", () => {
+    afterEach(() => {
+        delete global.navigator;
+    });
+
+    it("looks for messages from the most specific locale to the fallback locale", () => {
+        let translator = new I18n({
+            locale: "fr-CA",
+            messages: {
+                fr: { LOGIN_BUTTON: "Connexion", KBA_ANSWER: "Réponse" },
+                "fr-CA": { KBA_ANSWER: "Votre réponse" }
+            }
+        });
+
+        assert.deepStrictEqual(I18n.getFallbackChain("zh-Hant-TW"), ["zh-hant-tw", "zh-hant", "zh", "en"]);
+        assert.deepStrictEqual(I18n.getFallbackChain("pt_BR", "es"), ["pt-br", "pt", "es"]);
+        assert.strictEqual(translator.translate("KBA_ANSWER"), "Votre réponse");
+        assert.strictEqual(translator.translate("LOGIN_BUTTON"), "Connexion");
+        assert.strictEqual(translator.translate("LOGIN_FAILURE"), "Login failure");
+        assert.strictEqual(translator.translate("MIN_LENGTH", { minLength: 8 }), "Must be at least 8 characters long");
+        assert.strictEqual(translator.translate("SOMETHING_NEW"), "SOMETHING_NEW");
+    });
+
+    it("uses the messages of the fallbackLocale, and shared catalogs added for a locale", () => {
+        I18n.addMessages("x-test", { LOGIN_BUTTON: "Test login" });
+
+        assert.strictEqual(new I18n({ locale: "x-test-AA" }).translate("LOGIN_BUTTON"), "Test login");
+        assert.strictEqual(new I18n({
+            locale: "it",
+            fallbackLocale: "de",
+            messages: { de: { LOGIN_BUTTON: "Anmelden" } }
+        }).translate("LOGIN_BUTTON"), "Anmelden");
+    });
+
+    it("chooses the first of the browser's languages which has messages", () => {
+        setLanguages(["xx-YY", "fr-FR", "en"]);
+
+        assert.strictEqual(new I18n({ messages: { fr: { LOGIN_BUTTON: "Connexion" } } }).getLocale(), "fr-FR");
+        assert.strictEqual(new I18n().getLocale(), "en");
+        assert.strictEqual(new I18n({ locale: "ja" }).getLocale(), "ja");
+        setLanguages([]);
+        assert.strictEqual(new I18n({ fallbackLocale: "de" }).getLocale(), "de");
+    });
+
+    it("knows which locales are written from right to left", () => {
+        assert.deepStrictEqual(["ar", "he-IL", "fa_IR", "az-Arab", "en", "fr-CA", "az-Latn"].map(I18n.isRtl),
+            [true, true, true, true, false, false, false]);
+        assert.strictEqual(new I18n({ locale: "ur" }).isRtl(), true);
+    });
+
+    it("describes the locale and its fallbacks as an Accept-Language header", () => {
+        assert.strictEqual(new I18n({ locale: "fr-CA" }).getAcceptLanguage(), "fr-CA, fr;q=0.9, en;q=0.8");
+        assert.strictEqual(new I18n({ locale: "en-GB" }).getAcceptLanguage(), "en-GB, en;q=0.9");
+        assert.strictEqual(new I18n().getAcceptLanguage(), null);
+    });
+});
+
+describe("Journey locale", () => {
+    it("requests the locale from AM with the Accept-Language header and the locale query parameter", () => {
+        let server = helpers.fakeServer(() => helpers.respond(helpers.step([helpers.nameCallback()]))),
+            transport = server.transport;
+
+        return new Journey({ authenticateUrl, transport, locale: "fr-CA" }).start()
+            .then(() => new Journey({ authenticateUrl: `${authenticateUrl}?locale=de`, transport, locale: "fr-CA" }).start())
+            .then(() => new Journey({ authenticateUrl, transport }).start())
+            .then(() => {
+                assert.deepStrictEqual(server.requests.map((req) => req.url), [
+                    `${authenticateUrl}?locale=fr-CA`,
+                    `${authenticateUrl}?locale=de`,
+                    authenticateUrl
+                ]);
+                assert.deepStrictEqual(server.requests.map((req) => req.options.headers["accept-language"]),
+                    ["fr-CA, fr;q=0.9, en;q=0.8", "fr-CA, fr;q=0.9, en;q=0.8", undefined]);
+            });
+    });
+
+    it("describes the policies of each field in the locale", () => {
+        let password = helpers.callback("ValidatedCreatePasswordCallback", [
+                { name: "prompt", value: "Mot de passe" },
+                { name: "policies", value: { policies: [{ policyRequirements: ["MIN_LENGTH"], params: { minLength: 8 } }] } }
+            ], [{ name: "IDToken1", value: "" }]),
+            server = helpers.fakeServer([helpers.respond(helpers.step([password]))]);
+
+        return new Journey({
+            authenticateUrl,
+            transport: server.transport,
+            locale: "fr",
+            messages: { fr: { MIN_LENGTH: "Au moins {minLength} caractères" } }
+        }).start()
+            .then((step) => assert.strictEqual(step.callbacks[0].policies[0].message, "Au moins 8 caractères"));
+    });
+});
+
+describe("ForgeRockEmbeddedLogin locale", () => {
+    helpers.createDom();
+    const ForgeRockEmbeddedLogin = require("../index");
+
+    it("renders the form in the direction of the locale, and again with the values entered when the locale changes", () => {
+        let server = helpers.fakeServer([helpers.respond(helpers.step([helpers.nameCallback()]))]),
+            loginElement = document.createElement("div"),
+            renders = [];
+        document.body.appendChild(loginElement);
+
+        return new Promise((resolve) => {
+            let login = new ForgeRockEmbeddedLogin({
+                authenticateUrl,
+                loginElement,
+                transport: server.transport,
+                locale: "ar",
+                messages: { ar: { LOGIN_BUTTON: "تسجيل الدخول" } },
+                postRenderHandler: () => {
+                    let form = login.loginElement.getElementsByTagName("form")[0];
+                    renders.push([form.lang, form.dir, form.querySelector("[type=submit]").value, form.elements.callback_0.value]);
+                    if (renders.length === 1) {
+                        form.elements.callback_0.value = "demo";
+                        login.setLocale("en-GB");
+                    } else {
+                        resolve();
+                    }
+                }
+            });
+            login.startLogin();
+        }).then(() => {
+            // the value typed before the locale changed is kept
+            assert.deepStrictEqual(renders, [["ar", "rtl", "تسجيل الدخول", ""], ["en-GB", "ltr", "Login", "demo"]]);
+            assert.strictEqual(server.requests.length, 1);
+        });
+    });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert");
+const inputs = require("../inputs");
+const helpers = require("./helpers");
+
+let createForm = (html) => {
+    let form = document.createElement("form");
+    form.innerHTML = html;
+    return form;
+};
+
+describe("Inputs", () => {
+    before(() => helpers.createDom());
+
+    it("reads each input from the fields named after the callback or the AM input", () => {
+        let form = createForm(`
+            <input name="callback_0" value="demo">
+            <input name="IDToken2" value="Ch4ng3it!">
+            <input name="callback_2_0" type="number" value="3">
+            <input name="callback_3" type="checkbox" checked>
+            <input name="callback_4" type="text" value="ignored" disabled>`),
+            callbacks = [
+                helpers.nameCallback(),
+                helpers.passwordCallback(),
+                helpers.callback("ChoiceCallback", [], [{ name: "IDToken3", value: 0 }]),
+                helpers.callback("BooleanAttributeInputCallback", [], [{ name: "IDToken4", value: null }]),
+                helpers.callback("StringAttributeInputCallback", [], [{ name: "IDToken5", value: "kept" }])
+            ];
+
+        assert.deepStrictEqual(inputs.readForm(form, callbacks), {
+            0: ["demo"],
+            1: ["Ch4ng3it!"],
+            2: [3],
+            3: [true],
+            4: [undefined]
+        });
+    });
+
+    it("reads lists from several fields of the same name, and from multiple selects", () => {
+        let form = createForm(`
+            <input name="callback_0" type="checkbox" value="a" checked>
+            <input name="callback_0" type="checkbox" value="b">
+            <input name="callback_0" type="checkbox" value="c" checked>
+            <select name="callback_1" multiple>
+                <option value="x" selected></option><option value="y"></option><option value="z" selected></option>
+            </select>
+            <input name="callback_2" type="radio" value="1">
+            <input name="callback_2" type="radio" value="2" checked>`);
+
+        assert.deepStrictEqual(inputs.readFields(Array.from(form.elements).filter((field) => field.name === "callback_0")), ["a", "c"]);
+        assert.deepStrictEqual(inputs.readFields([form.elements.callback_1]), ["x", "z"]);
+        assert.strictEqual(inputs.readFields(Array.from(form.elements).filter((field) => field.name === "callback_2")), "2");
+        assert.strictEqual(inputs.readFields([]), undefined);
+    });
+
+    it("uses the value of the button which submitted the form", () => {
+        let form = createForm("<button name=\"callback_0\" index=\"1\">No</button>"),
+            confirmation = helpers.callback("ConfirmationCallback", [], [{ name: "IDToken1", value: 100 }]);
+
+        assert.deepStrictEqual(inputs.readForm(form, [confirmation], { submitter: form.elements[0] }), { 0: [1] });
+        assert.deepStrictEqual(inputs.readForm(form, [confirmation]), { 0: [undefined] });
+    });
+
+    it("uses the extractor registered for the type of a callback", () => {
+        let form = createForm("<input name=\"code\" value=\" 123 456 \">"),
+            extractors = {
+                NameCallback: (callback, index, extractedForm) => extractedForm.elements.code.value.replace(/\s/g, "")
+            };
+
+        assert.deepStrictEqual(inputs.readForm(form, [helpers.nameCallback()], { extractors }), { 0: ["123456"] });
+    });
+
+    it("coerces values to the types AM expects", () => {
+        assert.strictEqual(inputs.coerce("2", "number"), 2);
+        assert.strictEqual(inputs.coerce("", "number"), null);
+        assert.strictEqual(inputs.coerce("true", "boolean"), true);
+        assert.strictEqual(inputs.coerce(["a", "b"], "string"), "a,b");
+        assert.deepStrictEqual(inputs.coerce("a", "array"), ["a"]);
+        assert.deepStrictEqual(inputs.coerce(["1", "2"], "number"), [1, 2]);
+        assert.strictEqual(inputs.getInputType(helpers.callback("ChoiceCallback", [], [{ name: "IDToken1", value: null }]), 0), "number");
+        assert.strictEqual(inputs.getInputType(helpers.callback("KbaCreateCallback", [], [{ name: "IDToken1", value: [] }]), 0), "array");
+        assert.strictEqual(inputs.getInputType(helpers.callback("MetadataCallback"), 0), undefined);
+    });
+});
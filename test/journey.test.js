@@ -0,0 +1,272 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const Journey = require("../journey");
+const JourneyError = require("../errors");
+const helpers = require("./helpers");
+
+const authenticateUrl = "https://am.example.com/am/json/realms/root/authenticate";
+
+let createJourney = (responses, options) => {
+    let server = helpers.fakeServer(responses);
+    return {
+        server,
+        journey: new Journey(Object.assign({ authenticateUrl, transport: server.transport }, options))
+    };
+};
+
+describe("Journey", () => {
+    it("starts the journey and submits the values of each step", () => {
+        let { server, journey } = createJourney([
+            helpers.respond(helpers.step([helpers.nameCallback(), helpers.passwordCallback()], { stage: "LOGIN" })),
+            helpers.respond(helpers.success())
+        ]);
+
+        return journey.start()
+            .then((step) => {
+                assert.strictEqual(step.status, "step");
+                assert.strictEqual(step.stage, "LOGIN");
+                assert.deepStrictEqual(step.callbacks.map((callback) => callback.prompt), ["User Name", "Password"]);
+                return journey.next({ 0: "demo", IDToken2: "Ch4ng3it!" });
+            })
+            .then((step) => {
+                assert.strictEqual(step.status, "success");
+                assert.strictEqual(step.tokenId, "token-id");
+                assert.strictEqual(server.requests.length, 2);
+                assert.strictEqual(server.requests[0].url, authenticateUrl);
+                assert.deepStrictEqual(server.requests.map((req) => req.context.action), ["start", "submit"]);
+                assert.strictEqual(server.requests[0].options.headers["accept-api-version"], "protocol=1.0,resource=2.1");
+                assert.deepStrictEqual(server.requests[0].body, {});
+                assert.strictEqual(server.requests[1].body.authId, "auth-id");
+                assert.deepStrictEqual(server.requests[1].body.callbacks.map((callback) => callback.input[0].value),
+                    ["demo", "Ch4ng3it!"]);
+            });
+    });
+
+    it("submits the values set through the step model", () => {
+        let { server, journey } = createJourney([
+            helpers.respond(helpers.step([helpers.nameCallback()])),
+            helpers.respond(helpers.success())
+        ]);
+
+        return journey.start()
+            .then((step) => {
+                step.callbacks[0].setValue("demo");
+                assert.strictEqual(step.callbacks[0].getValue(), "demo");
+                assert.throws(() => step.callbacks[0].setValue("other", 1), /NameCallback has no input at position 1/);
+                assert.throws(() => journey.next({ IDToken9: "other" }), /No input found for "IDToken9"/);
+                return journey.next();
+            })
+            .then(() => assert.strictEqual(server.requests[1].body.callbacks[0].input[0].value, "demo"));
+    });
+
+    it("doesn't submit a step which fails validation", () => {
+        let required = helpers.callback("NameCallback",
+            [{ name: "prompt", value: "User Name" }, { name: "required", value: true }],
+            [{ name: "IDToken1", value: "" }]);
+        let { server, journey } = createJourney([helpers.respond(helpers.step([required]))]);
+
+        return journey.start()
+            .then(() => journey.next())
+            .then((step) => {
+                assert.strictEqual(server.requests.length, 1);
+                assert.deepStrictEqual(step.validationErrors, { 0: ["This field is required"] });
+            });
+    });
+
+    it("reports the failure of authentication", () => {
+        let { journey } = createJourney([
+            helpers.respond(helpers.step([helpers.nameCallback()])),
+            helpers.failure()
+        ]);
+
+        return journey.start()
+            .then(() => journey.next({ 0: "demo" }))
+            .then((step) => {
+                assert.deepStrictEqual(step, { status: "failure", reason: "Unauthorized", message: "Authentication Failed" });
+                assert.ok(journey.failure());
+            });
+    });
+
+    it("rejects with a JourneyError when there is no errorHandler", () => {
+        let { journey } = createJourney([helpers.respond({ code: 500, message: "Internal Server Error" }, 500)]);
+
+        return journey.start().then(() => assert.fail("expected the journey to be rejected"), (error) => {
+            assert.ok(error instanceof JourneyError);
+            assert.strictEqual(error.type, JourneyError.SERVER);
+            assert.strictEqual(error.status, 500);
+            assert.strictEqual(error.message, "Internal Server Error");
+        });
+    });
+
+    it("passes errors to the errorHandler, and resolves with an error step", () => {
+        let errors = [],
+            { journey } = createJourney([helpers.respond("<html>Bad Gateway</html>")], {
+                errorHandler: (error) => errors.push(error.type)
+            });
+
+        return journey.start().then((step) => {
+            assert.strictEqual(step.status, "error");
+            assert.deepStrictEqual(errors, [JourneyError.MALFORMED_RESPONSE]);
+        });
+    });
+
+    it("restarts the journey when the authId expires, keeping the username", () => {
+        let errors = [],
+            { server, journey } = createJourney([
+                helpers.respond(helpers.step([helpers.nameCallback(), helpers.passwordCallback()])),
+                helpers.respond({ code: 401, reason: "Unauthorized", message: "Session has timed out" }, 401),
+                helpers.respond(helpers.step([helpers.nameCallback(), helpers.passwordCallback()], { authId: "new-auth-id" }))
+            ], { errorHandler: (error) => errors.push(error.type) });
+
+        return journey.start()
+            .then(() => journey.next({ 0: "demo", 1: "password" }))
+            .then((step) => {
+                assert.deepStrictEqual(errors, [JourneyError.SESSION_EXPIRED]);
+                assert.strictEqual(server.requests.length, 3);
+                assert.strictEqual(server.requests[2].body.authId, undefined);
+                assert.strictEqual(step.status, "step");
+                assert.strictEqual(step.callbacks[0].getValue(), "demo");
+                assert.strictEqual(step.callbacks[1].getValue(), "");
+            });
+    });
+
+    it("discards a response which has been superseded by a later request", () => {
+        let pending = [],
+            journey = new Journey({
+                authenticateUrl,
+                transport: () => new Promise((resolve) => pending.push(resolve))
+            });
+
+        let first = journey.start(),
+            second = journey.start();
+        return helpers.wait()
+            .then(() => {
+                pending[1](helpers.respond(helpers.step([helpers.nameCallback()], { stage: "SECOND" })));
+                return second;
+            })
+            .then(() => {
+                pending[0](helpers.respond(helpers.step([helpers.nameCallback()], { stage: "FIRST" })));
+                return first;
+            })
+            .then((result) => {
+                assert.deepStrictEqual(result, { status: "superseded" });
+                assert.strictEqual(journey.getStep().stage, "SECOND");
+            });
+    });
+
+    it("stops making requests and calling handlers once destroyed", () => {
+        let steps = 0,
+            pending = [],
+            journey = new Journey({
+                authenticateUrl,
+                transport: () => new Promise((resolve) => pending.push(resolve)),
+                stepHandler: () => steps++
+            });
+
+        let started = journey.start();
+        return helpers.wait()
+            .then(() => {
+                journey.destroy();
+                pending[0](helpers.respond(helpers.step([helpers.nameCallback()])));
+                return started;
+            })
+            .then((result) => {
+                assert.deepStrictEqual(result, { status: "aborted" });
+                assert.strictEqual(steps, 0);
+                return journey.start();
+            })
+            .then((result) => {
+                assert.deepStrictEqual(result, { status: "aborted" });
+                assert.strictEqual(pending.length, 1);
+            });
+    });
+
+    it("accepts a callback with a single input object", () => {
+        let single = helpers.callback("NameCallback", [{ name: "prompt", value: "User Name:" }], { name: "IDToken1", value: "" }),
+            { journey } = createJourney([helpers.respond(helpers.step([single]))]);
+
+        return journey.start().then((step) => {
+            assert.strictEqual(step.callbacks[0].prompt, "User Name");
+            assert.deepStrictEqual(step.callbacks[0].inputs, [{ name: "IDToken1", value: "" }]);
+            step.callbacks[0].setValue("demo");
+            assert.strictEqual(single.input.value, "demo");
+        });
+    });
+
+    it("passes every step to the stepHandler, including those produced by polling", () => {
+        let steps = [],
+            { server, journey } = createJourney([
+                helpers.respond(helpers.step([helpers.pollingCallback(1)])),
+                helpers.respond(helpers.success())
+            ], { stepHandler: (step) => steps.push(step.status) });
+
+        return journey.start()
+            .then(() => helpers.wait(20))
+            .then(() => {
+                assert.deepStrictEqual(steps, ["step", "success"]);
+                assert.strictEqual(server.requests.length, 2);
+            });
+    });
+
+    it("emits events for each part of the journey, without the secrets submitted", () => {
+        let events = [],
+            { journey } = createJourney([
+                helpers.respond(helpers.step([helpers.nameCallback(), helpers.passwordCallback()])),
+                helpers.respond(helpers.success())
+            ]);
+        journey.on("*", (event) => events.push(event));
+
+        return journey.start()
+            .then(() => journey.next({ 0: "demo", 1: "Ch4ng3it!" }))
+            .then(() => {
+                assert.deepStrictEqual(events.map((event) => event.type), ["start", "response", "step", "submit", "response", "success"]);
+                assert.ok(events.every((event) => event.journeyId === events[0].journeyId && event.timestamp));
+                let submitted = JSON.stringify(events[3]);
+                assert.deepStrictEqual(events[3].callbackTypes, ["NameCallback", "PasswordCallback"]);
+                assert.strictEqual(submitted.indexOf("demo"), -1);
+                assert.strictEqual(submitted.indexOf("Ch4ng3it!"), -1);
+            });
+    });
+
+    it("resumes a journey after a redirect with the step saved before it", () => {
+        let storage = {
+                items: {},
+                getItem: (key) => storage.items[key] || null,
+                setItem: (key, value) => {
+                    storage.items[key] = value;
+                },
+                removeItem: (key) => delete storage.items[key]
+            },
+            redirect = helpers.callback("RedirectCallback", [{ name: "redirectUrl", value: "https://idp.example.com" }]),
+            before = createJourney([helpers.respond(helpers.step([redirect]))], { stateStorage: storage });
+
+        return before.journey.start()
+            .then(() => {
+                before.journey.saveState();
+                let after = createJourney([helpers.respond(helpers.success())], { stateStorage: storage });
+                return after.journey.resume("https://app.example.com/login?code=abc&state=xyz").then((step) => {
+                    let req = after.server.requests[0];
+                    assert.strictEqual(step.status, "success");
+                    assert.strictEqual(req.body.authId, "auth-id");
+                    assert.ok(/[?&]code=abc(&|$)/.test(req.url));
+                    assert.deepStrictEqual(storage.items, {});
+                    assert.strictEqual(after.journey.journeyId, before.journey.journeyId);
+                });
+            });
+    });
+
+    it("sends a suspendedId on its own, and starts a new journey when there is nothing to resume", () => {
+        let { server, journey } = createJourney([
+            helpers.respond(helpers.success()),
+            helpers.respond(helpers.step([helpers.nameCallback()]))
+        ]);
+
+        return journey.resume("https://app.example.com/login?suspendedId=abc&code=def")
+            .then(() => journey.resume("https://app.example.com/login?other=1"))
+            .then(() => {
+                assert.strictEqual(server.requests[0].url, `${authenticateUrl}?suspendedId=abc`);
+                assert.deepStrictEqual(server.requests[0].body, {});
+                assert.strictEqual(server.requests[1].url, authenticateUrl);
+            });
+    });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const layouts = require("../layouts");
+const helpers = require("./helpers");
+
+describe("Layouts", () => {
+    it("describes the role of each callback", () => {
+        let script = helpers.callback("TextOutputCallback", [{ name: "message", value: "alert(1)" }, { name: "messageType", value: "4" }]),
+            message = helpers.callback("TextOutputCallback", [{ name: "message", value: "Hello" }, { name: "messageType", value: "0" }]);
+
+        assert.deepStrictEqual([
+            helpers.nameCallback(),
+            helpers.callback("ConfirmationCallback"),
+            message,
+            script,
+            helpers.callback("HiddenValueCallback"),
+            helpers.pollingCallback()
+        ].map(layouts.getRole), ["input", "action", "message", "hidden", "hidden", "message"]);
+    });
+
+    it("finds the layout of the stage, then the template, then the signature, then the default", () => {
+        let byStage = () => "stage",
+            byTemplate = () => "template",
+            bySignature = () => "signature",
+            byDefault = () => "default",
+            registry = layouts.createRegistry({
+                stage: { LOGIN: byStage },
+                signature: { "NameCallback,PasswordCallback": bySignature },
+                default: byDefault
+            }),
+            callbacks = [helpers.nameCallback(), helpers.passwordCallback()];
+        layouts.register(registry, "template", "twoColumn", byTemplate);
+
+        assert.strictEqual(layouts.find(registry, { stage: "LOGIN", template: "twoColumn", callbacks }), byStage);
+        assert.strictEqual(layouts.find(registry, { stage: "OTHER", template: "twoColumn", callbacks }), byTemplate);
+        assert.strictEqual(layouts.find(registry, { callbacks }), bySignature);
+        assert.strictEqual(layouts.find(registry, { callbacks: [helpers.nameCallback()] }), byDefault);
+        assert.strictEqual(layouts.find(layouts.createRegistry(), { callbacks }), undefined);
+    });
+
+    it("registers signatures given as lists of types", () => {
+        let layout = () => null,
+            registry = layouts.register(layouts.createRegistry(), "signature", ["NameCallback", "PasswordCallback"], layout);
+
+        assert.strictEqual(layouts.find(registry, { callbacks: [helpers.nameCallback(), helpers.passwordCallback()] }), layout);
+        assert.throws(() => layouts.register(registry, "callback", "NameCallback", layout), /not a kind of layout/);
+    });
+
+    it("groups the rendered callbacks by role", () => {
+        let callbacks = [helpers.nameCallback(), helpers.callback("ConfirmationCallback"), helpers.callback("HiddenValueCallback")],
+            parts = layouts.getParts([["label", "input"], ["yes", ["no"]], null], callbacks, { stage: "LOGIN", callbacks });
+
+        assert.strictEqual(parts.stage, "LOGIN");
+        assert.strictEqual(parts.signature, "NameCallback,ConfirmationCallback,HiddenValueCallback");
+        assert.deepStrictEqual(parts.roles, { input: ["label", "input"], message: [], action: ["yes", "no"], hidden: [] });
+        assert.deepStrictEqual(parts.nodes, ["label", "input", "yes", "no"]);
+        assert.deepStrictEqual(parts.callbacks[1], { type: "ConfirmationCallback", index: 1, role: "action", nodes: ["yes", "no"] });
+    });
+});
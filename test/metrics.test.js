@@ -0,0 +1,116 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const Metrics = require("../metrics");
+const helpers = require("./helpers");
+
+let event = (type, timestamp, details) => Object.assign({ type, timestamp, journeyId: "journey-1" }, details);
+
+describe("Metrics", () => {
+    it("summarises a journey which succeeds", () => {
+        let summaries = [],
+            metrics = new Metrics({ handler: (summary) => summaries.push(summary) });
+
+        [
+            event("start", 1000),
+            event("response", 1100, { latency: 100 }),
+            event("step", 1100, { stage: "LOGIN", callbackTypes: ["NameCallback", "PasswordCallback"] }),
+            event("submit", 3100),
+            event("response", 3400, { latency: 300 }),
+            event("step", 3400, { callbackTypes: ["PollingWaitCallback"] }),
+            event("poll", 4400),
+            event("response", 4500, { latency: 100 }),
+            event("step", 4500, { action: "poll", callbackTypes: ["PollingWaitCallback"] }),
+            event("error", 4600, { errorType: "network" }),
+            event("success", 5000)
+        ].forEach((item) => metrics.record(item));
+
+        assert.strictEqual(summaries.length, 1);
+        assert.deepStrictEqual(summaries[0], {
+            journeyId: "journey-1",
+            outcome: "success",
+            resumed: false,
+            startedAt: 1000,
+            endedAt: 5000,
+            duration: 4000,
+            timeToAuthenticate: 4000,
+            stepCount: 2,
+            steps: [
+                { stage: "LOGIN", template: undefined, callbackTypes: ["NameCallback", "PasswordCallback"], duration: 2000 },
+                { stage: undefined, template: undefined, callbackTypes: ["PollingWaitCallback"], duration: 1600 }
+            ],
+            submitCount: 1,
+            pollCount: 1,
+            requestCount: 3,
+            averageLatency: 167,
+            errors: ["network"],
+            lastStep: { stage: undefined, template: undefined, callbackTypes: ["PollingWaitCallback"] },
+            abandonedAt: null
+        });
+    });
+
+    it("reports where a journey was abandoned", () => {
+        let summaries = [],
+            metrics = new Metrics({ handler: (summary) => summaries.push(summary) });
+
+        metrics.record(event("start", 1000));
+        metrics.record(event("step", 1100, { stage: "OTP", callbackTypes: ["NameCallback"] }));
+        metrics.record(event("destroy", 2100));
+
+        assert.strictEqual(summaries[0].outcome, "abandoned");
+        assert.deepStrictEqual(summaries[0].abandonedAt, { stage: "OTP", template: undefined, callbackTypes: ["NameCallback"] });
+        assert.strictEqual(summaries[0].steps[0].duration, 1000);
+    });
+
+    it("continues a journey after a redirect, and after its authId is renewed", () => {
+        let summaries = [],
+            metrics = new Metrics({ handler: (summary) => summaries.push(summary) });
+
+        metrics.record(event("start", 1000));
+        metrics.record(event("step", 1100, { callbackTypes: ["RedirectCallback"] }));
+        metrics.record(event("redirect", 1200));
+        metrics.record(event("destroy", 1300));
+        assert.deepStrictEqual(summaries, []);
+
+        metrics = new Metrics({ handler: (summary) => summaries.push(summary) });
+        metrics.record(event("start", 9000, { resumed: true, startedAt: 1000 }));
+        metrics.record(event("step", 9100, { callbackTypes: ["NameCallback"] }));
+        metrics.record(event("start", 9500, { restarted: true }));
+        metrics.record(event("failure", 9900));
+
+        assert.strictEqual(summaries.length, 1);
+        assert.strictEqual(summaries[0].outcome, "failure");
+        assert.strictEqual(summaries[0].resumed, true);
+        assert.strictEqual(summaries[0].duration, 8900);
+    });
+
+    it("summarises the journeys of a ForgeRockEmbeddedLogin, including its rendered steps", () => {
+        helpers.createDom();
+        const ForgeRockEmbeddedLogin = require("../index");
+        let summaries = [],
+            rendered = [],
+            server = helpers.fakeServer([
+                helpers.respond(helpers.step([helpers.nameCallback(), helpers.passwordCallback()], { stage: "LOGIN" })),
+                helpers.respond(helpers.success())
+            ]);
+
+        return new Promise((resolve) => {
+            let login = new ForgeRockEmbeddedLogin({
+                authenticateUrl: "https://am.example.com/am/json/realms/root/authenticate",
+                loginElement: document.createElement("div"),
+                transport: server.transport,
+                metricsHandler: (summary) => summaries.push(summary),
+                successHandler: () => resolve(login),
+                postRenderHandler: () => login.loginElement.getElementsByTagName("form")[0].requestSubmit()
+            });
+            login.on("render", (event) => rendered.push([event.stage, event.callbackTypes]));
+            login.startLogin();
+        }).then((login) => {
+            assert.deepStrictEqual(rendered, [["LOGIN", ["NameCallback", "PasswordCallback"]]]);
+            assert.strictEqual(summaries.length, 1);
+            assert.strictEqual(summaries[0].outcome, "success");
+            assert.strictEqual(summaries[0].stepCount, 1);
+            assert.strictEqual(summaries[0].submitCount, 1);
+            assert.deepStrictEqual(login.getMetrics(), summaries[0]);
+        });
+    });
+});
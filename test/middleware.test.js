@@ -0,0 +1,166 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const Journey = require("../journey");
+const middleware = require("../middleware");
+const helpers = require("./helpers");
+
+const authenticateUrl = "https://am.example.com/am/json/realms/root/authenticate";
+
+let createJourney = (responses, options) => {
+    let server = helpers.fakeServer(responses);
+    return {
+        server,
+        journey: new Journey(Object.assign({ authenticateUrl, transport: server.transport }, options))
+    };
+};
+
+describe("Middleware", () => {
+    it("calls the middleware in order before the transport, and passes the response back through them", () => {
+        let calls = [],
+            record = (name) => (req, next) => {
+                calls.push(`${name} request`);
+                req.options.headers = Object.assign({}, req.options.headers, { [`x-${name}`]: "yes" });
+                return next(req).then((resp) => {
+                    calls.push(`${name} response ${resp.status}`);
+                    return resp;
+                });
+            },
+            { server, journey } = createJourney([helpers.respond(helpers.step([helpers.nameCallback()]))],
+                { middleware: [record("first")] });
+        journey.use(record("second"));
+
+        return journey.start().then(() => {
+            assert.deepStrictEqual(calls, ["first request", "second request", "second response 200", "first response 200"]);
+            assert.strictEqual(server.requests[0].options.headers["x-first"], "yes");
+            assert.strictEqual(server.requests[0].options.headers["x-second"], "yes");
+        });
+    });
+
+    it("lets middleware respond to a request without sending it", () => {
+        let later = [],
+            { server, journey } = createJourney([], {
+                middleware: [
+                    () => helpers.respond(helpers.step([helpers.nameCallback()], { stage: "CACHED" })),
+                    (req, next) => {
+                        later.push(req.url);
+                        return next(req);
+                    }
+                ]
+            });
+
+        return journey.start().then((step) => {
+            assert.strictEqual(step.stage, "CACHED");
+            assert.deepStrictEqual(later, []);
+            assert.strictEqual(server.requests.length, 0);
+        });
+    });
+
+    it("sends a transaction ID with every request, and records it in the context", () => {
+        let { server, journey } = createJourney([
+            helpers.respond(helpers.step([helpers.nameCallback()])),
+            helpers.respond(helpers.success())
+        ], {
+            middleware: [
+                middleware.transactionId(),
+                middleware.transactionId({ header: "X-Request-Id", generate: (context) => `${context.source}-${context.action}` })
+            ]
+        });
+
+        return journey.start()
+            .then(() => journey.next({ 0: "demo" }))
+            .then(() => {
+                let ids = server.requests.map((req) => req.options.headers["X-ForgeRock-TransactionId"]);
+                assert.ok(/^[0-9a-f]{32}-0$/.test(ids[0]));
+                assert.strictEqual(ids[1], ids[0].replace(/0$/, "1"));
+                assert.deepStrictEqual(server.requests.map((req) => req.options.headers["X-Request-Id"]),
+                    ["journey-start", "journey-submit"]);
+                assert.strictEqual(server.requests[1].context.transactionId, "journey-submit");
+            });
+    });
+
+    it("logs each request and response, without the secrets they carry", () => {
+        let logged = [],
+            kba = helpers.callback("KbaCreateCallback", [{ name: "prompt", value: "Security question" }],
+                [{ name: "IDToken3question", value: "Favourite colour?" }, { name: "IDToken3answer", value: "Blue" }]),
+            { journey } = createJourney([
+                helpers.respond(helpers.step([helpers.nameCallback(), helpers.passwordCallback(), kba])),
+                helpers.respond(helpers.success())
+            ], {
+                middleware: [middleware.logger({ log: (message, details) => logged.push({ message, details }) })]
+            });
+
+        assert.throws(() => middleware.logger(), /log option is required/);
+        return journey.start()
+            .then(() => journey.next({ 0: "demo", 1: "Ch4ng3it!", IDToken3answer: "Blue" }))
+            .then(() => {
+                let submitted = logged[2];
+                assert.deepStrictEqual(logged.map((entry) => entry.message), [
+                    `request POST ${authenticateUrl}`,
+                    `response POST ${authenticateUrl}`,
+                    `request POST ${authenticateUrl}`,
+                    `response POST ${authenticateUrl}`
+                ]);
+                assert.strictEqual(logged[1].details.status, 200);
+                assert.ok(submitted.details.body.indexOf("demo") !== -1);
+                assert.ok(submitted.details.body.indexOf("Favourite colour?") !== -1);
+                assert.strictEqual(submitted.details.body.indexOf("Ch4ng3it!"), -1);
+                assert.strictEqual(submitted.details.body.indexOf("Blue"), -1);
+                assert.strictEqual(submitted.details.context.action, "submit");
+            });
+    });
+
+    it("redacts the secrets of URLs, form bodies and headers", () => {
+        assert.strictEqual(middleware.redactUrl("https://app.example.com/callback?code=abc&state=xyz"),
+            "https://app.example.com/callback?code=********&state=xyz");
+        assert.strictEqual(middleware.redactBody("grant_type=authorization_code&code=abc&code_verifier=def&client_id=app"),
+            "grant_type=authorization_code&code=********&code_verifier=********&client_id=app");
+        assert.strictEqual(middleware.redactBody("{\"tokenId\":\"token-id\"}"), "{\"tokenId\":\"********\"}");
+        assert.deepStrictEqual(middleware.redactHeaders({ iPlanetDirectoryPro: "token-id", "accept-api-version": "resource=3.1" }),
+            { iPlanetDirectoryPro: "********", "accept-api-version": "resource=3.1" });
+    });
+
+    it("sends each request through the custom transport, with its context", () => {
+        let { server, journey } = createJourney([
+            helpers.respond(helpers.step([helpers.nameCallback()], { stage: "LOGIN" })),
+            helpers.respond(helpers.success())
+        ]);
+
+        return journey.start()
+            .then(() => journey.next({ 0: "demo" }))
+            .then(() => {
+                assert.deepStrictEqual(server.requests.map((req) => req.context), [
+                    { source: "journey", action: "start", attempt: 0, stage: undefined, callbackTypes: [] },
+                    { source: "journey", action: "submit", attempt: 0, stage: "LOGIN", callbackTypes: ["NameCallback"] }
+                ]);
+                assert.strictEqual(server.requests[1].options.method, "POST");
+            });
+    });
+});
+
+describe("ForgeRockEmbeddedLogin middleware", () => {
+    helpers.createDom();
+    const ForgeRockEmbeddedLogin = require("../index");
+
+    it("applies middleware added with use to the journey and session requests", () => {
+        let sources = [],
+            server = helpers.fakeServer((req) => helpers.respond(/authenticate/.test(req.url)
+                ? helpers.step([helpers.nameCallback()])
+                : { valid: true })),
+            login = new ForgeRockEmbeddedLogin({
+                authenticateUrl,
+                loginElement: document.createElement("div"),
+                transport: server.transport
+            });
+        login.use((req, next) => {
+            sources.push(`${req.context.source} ${req.context.action}`);
+            return next(req);
+        });
+
+        return login.startLogin()
+            .then(() => login.validateSession())
+            .then(() => {
+                assert.deepStrictEqual(sources, ["journey start", "session validate"]);
+                assert.deepStrictEqual(server.requests.map((req) => req.context.source), ["journey", "session"]);
+            });
+    });
+});
@@ -0,0 +1,256 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const nodeCrypto = require("node:crypto");
+const OAuth = require("../oauth");
+const JourneyError = require("../errors");
+const helpers = require("./helpers");
+
+const authenticateUrl = "https://am.example.com/am/json/realms/root/authenticate";
+const redirectUri = "https://app.example.com/callback";
+
+let encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+let idToken = (claims) => `${encode({ alg: "RS256" })}.${encode(claims)}.signature`;
+
+/**
+ * @param {Object} [claims] - claims to change in the ID token which is issued
+ * @param {Object} [redirect] - parameters to change in the redirect to the `redirectUri`
+ * @returns {Object} - a fake server for the authorize and token endpoints of the root realm
+ */
+let authorizationServer = (claims, redirect) => {
+    let server = helpers.fakeServer([
+        (req) => helpers.respond({}, 200,
+            `${redirectUri}?${new URLSearchParams(Object.assign({ code: "code", state: req.body.state }, redirect))}`),
+        () => helpers.respond({
+            access_token: "access-token",
+            refresh_token: "refresh-token",
+            token_type: "Bearer",
+            scope: "openid",
+            expires_in: 3600,
+            id_token: idToken(Object.assign({
+                iss: "https://am.example.com/am/oauth2",
+                aud: "client",
+                nonce: server.requests[0].body.nonce,
+                exp: Math.floor(Date.now() / 1000) + 300
+            }, claims))
+        })
+    ]);
+    return server;
+};
+
+let createOAuth = (server) => new OAuth({
+    clientId: "client",
+    redirectUri,
+    authenticateUrl,
+    transport: server.transport
+});
+
+describe("OAuth", () => {
+    it("finds the endpoints and the issuer of the realm", () => {
+        assert.strictEqual(OAuth.getOAuthUrl(authenticateUrl), "https://am.example.com/am/oauth2/realms/root");
+        assert.strictEqual(OAuth.getIssuer("https://am.example.com/am/oauth2/realms/root"), "https://am.example.com/am/oauth2");
+        assert.strictEqual(OAuth.getIssuer("https://am.example.com/am/oauth2/realms/root/realms/alpha"),
+            "https://am.example.com/am/oauth2/realms/root/realms/alpha");
+    });
+
+    it("exchanges the authorization code for tokens, using PKCE", () => {
+        let server = authorizationServer(),
+            oauth = createOAuth(server);
+
+        return oauth.authorize("token-id").then((tokens) => {
+            let authorize = server.requests[0].body,
+                token = server.requests[1].body;
+            assert.strictEqual(server.requests[0].url, "https://am.example.com/am/oauth2/realms/root/authorize");
+            assert.strictEqual(authorize.code_challenge_method, "S256");
+            assert.strictEqual(authorize.code_challenge,
+                nodeCrypto.createHash("sha256").update(token.code_verifier).digest("base64url"));
+            assert.strictEqual(authorize.csrf, "token-id");
+            assert.strictEqual(authorize.decision, "allow");
+            assert.strictEqual(token.grant_type, "authorization_code");
+            assert.strictEqual(token.code, "code");
+            assert.strictEqual(tokens.accessToken, "access-token");
+            assert.strictEqual(tokens.idTokenClaims.aud, "client");
+            assert.deepStrictEqual(oauth.getTokens(), tokens);
+        });
+    });
+
+    it("rejects an ID token from another issuer", () => {
+        let oauth = createOAuth(authorizationServer({ iss: "https://am.example.com/am/oauth2/realms/root" }));
+
+        return oauth.authorize("token-id").then(() => assert.fail("expected the tokens to be rejected"), (error) => {
+            assert.strictEqual(error.type, JourneyError.OAUTH);
+            assert.ok(/issued by/.test(error.message));
+            assert.strictEqual(oauth.getTokens(), null);
+        });
+    });
+
+    it("rejects a redirect with another state", () => {
+        let server = authorizationServer(null, { state: "forged" }),
+            oauth = createOAuth(server);
+
+        return oauth.authorize("token-id").then(() => assert.fail("expected the code to be rejected"), (error) => {
+            assert.strictEqual(error.type, JourneyError.OAUTH);
+            assert.strictEqual(server.requests.length, 1);
+        });
+    });
+
+    it("revokes the tokens it holds", () => {
+        let server = authorizationServer(),
+            oauth = createOAuth(server);
+
+        return oauth.authorize("token-id")
+            .then(() => {
+                let revoking = helpers.fakeServer(() => helpers.respond({}));
+                oauth.transport = revoking.transport;
+                return oauth.revoke().then(() => revoking);
+            })
+            .then((revoking) => {
+                assert.deepStrictEqual(revoking.requests.map((req) => req.body.token), ["refresh-token", "access-token"]);
+                assert.ok(revoking.requests.every((req) => req.url === "https://am.example.com/am/oauth2/realms/root/token/revoke"));
+                assert.strictEqual(oauth.getTokens(), null);
+            });
+    });
+});
+
+describe("OAuth in the browser", () => {
+    helpers.createDom();
+
+    let frameOpened = () => helpers.wait(20).then(() => document.querySelector("iframe"));
+
+    it("makes the authorization request in the browser unless a transport is supplied", () => {
+        let transport = () => Promise.resolve(helpers.respond({}));
+
+        assert.strictEqual(new OAuth({ clientId: "client", redirectUri, authenticateUrl }).authorizeMode, "frame");
+        assert.strictEqual(new OAuth({ clientId: "client", redirectUri, authenticateUrl, transport }).authorizeMode, "request");
+        assert.strictEqual(new OAuth({ clientId: "client", redirectUri, authenticateUrl, transport, authorize: "frame" }).authorizeMode,
+            "frame");
+    });
+
+    it("makes the authorization request in a hidden iframe, and reads the code once AM redirects it", () => {
+        let nonce,
+            server = helpers.fakeServer(() => helpers.respond({
+                access_token: "access-token",
+                token_type: "Bearer",
+                expires_in: 3600,
+                id_token: idToken({
+                    iss: "https://am.example.com/am/oauth2",
+                    aud: "client",
+                    nonce,
+                    exp: Math.floor(Date.now() / 1000) + 300
+                })
+            })),
+            oauth = new OAuth({ clientId: "client", redirectUri, authenticateUrl, transport: server.transport, authorize: "frame" }),
+            authorized = oauth.authorize("token-id");
+
+        return frameOpened()
+            .then((frame) => {
+                let params = new URL(frame.src).searchParams;
+                assert.strictEqual(frame.hidden, true);
+                assert.strictEqual(frame.src.split("?")[0], "https://am.example.com/am/oauth2/realms/root/authorize");
+                assert.strictEqual(params.get("prompt"), "none");
+                assert.strictEqual(params.get("redirect_uri"), redirectUri);
+                assert.strictEqual(params.get("csrf"), null);
+                nonce = params.get("nonce");
+                // AM redirects the frame to the redirectUri, on the same origin as the page
+                Object.defineProperty(frame, "contentWindow", {
+                    value: { location: { href: `${redirectUri}?code=code&state=${params.get("state")}` } }
+                });
+                return authorized;
+            })
+            .then((tokens) => {
+                assert.strictEqual(tokens.accessToken, "access-token");
+                assert.strictEqual(server.requests[0].body.code, "code");
+                assert.strictEqual(document.querySelector("iframe"), null);
+            });
+    });
+
+    it("rejects a code whose state doesn't match, or when AM doesn't redirect the frame in time", () => {
+        let oauth = new OAuth({ clientId: "client", redirectUri, authenticateUrl, authorize: "frame", requestTimeout: 100 }),
+            mismatched = oauth.authorize("token-id");
+
+        return frameOpened()
+            .then((frame) => {
+                Object.defineProperty(frame, "contentWindow", {
+                    value: { location: { href: `${redirectUri}?code=code&state=other` } }
+                });
+                return mismatched.then(() => assert.fail("expected the state to be rejected"), (error) => {
+                    assert.strictEqual(error.type, JourneyError.OAUTH);
+                    assert.ok(/state/.test(error.message));
+                });
+            })
+            .then(() => oauth.authorize("token-id").then(() => assert.fail("expected the request to time out"), (error) => {
+                assert.strictEqual(error.type, JourneyError.OAUTH);
+                assert.ok(/did not redirect/.test(error.message));
+                assert.strictEqual(document.querySelector("iframe"), null);
+            }));
+    });
+});
+
+describe("ForgeRockEmbeddedLogin logout", () => {
+    helpers.createDom();
+    const ForgeRockEmbeddedLogin = require("../index");
+
+    it("revokes the tokens before ending the session", () => {
+        let server = helpers.fakeServer((req) => /revoke/.test(req.url)
+                ? helpers.respond({})
+                : helpers.respond({ result: "Successfully logged out" })),
+            login = new ForgeRockEmbeddedLogin({
+                authenticateUrl,
+                transport: server.transport,
+                oauth: { clientId: "client", redirectUri }
+            });
+        login.session.tokenId = "token-id";
+        login.oauth.tokenStore.set({ accessToken: "access-token" });
+
+        return login.logout().then((result) => {
+            assert.strictEqual(result.result, "Successfully logged out");
+            assert.ok(/token\/revoke$/.test(server.requests[0].url));
+            assert.ok(/_action=logout$/.test(server.requests[1].url));
+            assert.strictEqual(login.oauth.getTokens(), null);
+            assert.strictEqual(login.session.tokenId, undefined);
+        });
+    });
+
+    it("ends the session even when the tokens cannot be revoked", () => {
+        let errors = [],
+            server = helpers.fakeServer((req) => /revoke/.test(req.url)
+                ? helpers.respond({ error: "server_error" }, 500)
+                : helpers.respond({ result: "Successfully logged out" })),
+            login = new ForgeRockEmbeddedLogin({
+                authenticateUrl,
+                transport: server.transport,
+                errorHandler: (error) => errors.push(error.type),
+                oauth: { clientId: "client", redirectUri }
+            });
+        login.session.tokenId = "token-id";
+        login.oauth.tokenStore.set({ accessToken: "access-token" });
+
+        return login.logout().then((result) => {
+            assert.strictEqual(result.result, "Successfully logged out");
+            assert.ok(server.requests.some((req) => /_action=logout$/.test(req.url)));
+            assert.deepStrictEqual(errors, [JourneyError.OAUTH]);
+            assert.strictEqual(login.session.tokenId, undefined);
+        });
+    });
+
+    it("calls the failureHandler when the tokens cannot be obtained and there is no errorHandler", () => {
+        let server = helpers.fakeServer((req) => /authenticate/.test(req.url)
+                ? helpers.respond(helpers.success())
+                : helpers.respond({ error: "server_error" }, 500)),
+            succeeded = [];
+
+        return new Promise((resolve) => {
+            new ForgeRockEmbeddedLogin({
+                authenticateUrl,
+                loginElement: document.createElement("div"),
+                transport: server.transport,
+                successHandler: () => succeeded.push(true),
+                failureHandler: resolve,
+                oauth: { clientId: "client", redirectUri }
+            }).startLogin();
+        }).then((error) => {
+            assert.ok(error instanceof JourneyError);
+            assert.deepStrictEqual(succeeded, []);
+        });
+    });
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const policies = require("../policies");
+const I18n = require("../i18n");
+
+describe("Policies", () => {
+    it("parses the failed policies, including those sent as JSON strings", () => {
+        assert.deepStrictEqual(policies.parseFailedPolicies([
+            "{ \"policyRequirement\": \"MIN_LENGTH\", \"params\": { \"minLength\": 8 } }",
+            { policyRequirement: "AT_LEAST_X_NUMBERS", params: { numNums: 1 } },
+            "UNIQUE"
+        ]), [
+            { policyRequirement: "MIN_LENGTH", params: { minLength: 8 } },
+            { policyRequirement: "AT_LEAST_X_NUMBERS", params: { numNums: 1 } },
+            { policyRequirement: "UNIQUE", params: undefined }
+        ]);
+        assert.deepStrictEqual(policies.parseFailedPolicies(undefined), []);
+    });
+
+    it("lists each requirement of the policies of a field", () => {
+        assert.deepStrictEqual(policies.parsePolicies(JSON.stringify({
+            name: "password",
+            policies: [
+                { policyRequirements: ["REQUIRED"] },
+                { policyRequirements: ["MIN_LENGTH"], params: { minLength: 8 } }
+            ]
+        })), [
+            { policyRequirement: "REQUIRED", params: undefined },
+            { policyRequirement: "MIN_LENGTH", params: { minLength: 8 } }
+        ]);
+    });
+
+    it("describes a policy in English by default, or in the locale of the translator", () => {
+        let policy = { policyRequirement: "MIN_LENGTH", params: { minLength: 8 } },
+            translator = new I18n({ locale: "fr", messages: { fr: { MIN_LENGTH: "Au moins {minLength} caractères" } } });
+
+        assert.strictEqual(policies.getMessage(policy), "Must be at least 8 characters long");
+        assert.strictEqual(policies.getMessage(policy, translator), "Au moins 8 caractères");
+        assert.strictEqual(policies.messages.MIN_LENGTH, "Must be at least {minLength} characters long");
+    });
+});
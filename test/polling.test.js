@@ -0,0 +1,136 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const Journey = require("../journey");
+const JourneyError = require("../errors");
+const helpers = require("./helpers");
+
+const authenticateUrl = "https://am.example.com/am/json/realms/root/authenticate";
+
+let ForgeRockEmbeddedLogin;
+
+let createLogin = (server, options) => {
+    let loginElement = document.createElement("div");
+    document.body.appendChild(loginElement);
+    return new ForgeRockEmbeddedLogin(Object.assign({ authenticateUrl, loginElement, transport: server.transport }, options));
+};
+
+let resolver = () => {
+    let resolve,
+        promise = new Promise((done) => {
+            resolve = done;
+        });
+    return { promise, resolve };
+};
+
+let waiting = (waitTime) => helpers.respond(helpers.step([helpers.pollingCallback(waitTime), helpers.confirmationCallback(["Cancel"])]));
+
+describe("Polling", () => {
+    before(() => {
+        helpers.createDom();
+        ForgeRockEmbeddedLogin = require("../index");
+    });
+
+    beforeEach(() => {
+        document.body.textContent = "";
+    });
+
+    it("resubmits a PollingWaitCallback until the journey moves on", () => {
+        let done = resolver(),
+            server = helpers.fakeServer([waiting(5), waiting(5), helpers.respond(helpers.success())]),
+            login = createLogin(server, { successHandler: done.resolve });
+
+        login.startLogin();
+        return done.promise.then(() => {
+            assert.strictEqual(server.requests.length, 3);
+            assert.ok(server.requests.slice(1).every((req) => req.body.authId === "auth-id"));
+        });
+    });
+
+    it("gives up after pollingMaxAttempts", () => {
+        let done = resolver(),
+            server = helpers.fakeServer(() => waiting(1)),
+            login = createLogin(server, { pollingMaxAttempts: 2, pollingTimeoutHandler: done.resolve });
+
+        login.startLogin();
+        return done.promise
+            .then(() => helpers.wait(10))
+            .then(() => assert.strictEqual(server.requests.length, 3));
+    });
+
+    it("gives up after the pollingTimeout, calling the failureHandler when there is no pollingTimeoutHandler", () => {
+        let done = resolver(),
+            server = helpers.fakeServer(() => waiting(50)),
+            login = createLogin(server, { pollingTimeout: 20, failureHandler: done.resolve });
+
+        login.startLogin();
+        return done.promise.then(() => assert.strictEqual(server.requests.length, 1));
+    });
+
+    it("stops polling when the user presses the button to cancel", () => {
+        let server = helpers.fakeServer([waiting(20), helpers.failure()]),
+            login = createLogin(server, { failureHandler: () => null });
+
+        return login.startLogin()
+            .then(() => helpers.wait(5))
+            .then(() => {
+                let button = login.loginElement.querySelector("input[type=submit]");
+                login.loginElement.getElementsByTagName("form")[0].requestSubmit(button);
+                return helpers.wait(40);
+            })
+            .then(() => {
+                assert.strictEqual(server.requests.length, 2);
+                assert.strictEqual(server.requests[1].body.callbacks[1].input[0].value, 0);
+            });
+    });
+
+    it("cancels the pending resubmission when the journey is started again", () => {
+        let server = helpers.fakeServer([waiting(20), helpers.respond(helpers.step([helpers.nameCallback()]))]),
+            login = createLogin(server);
+
+        return login.startLogin()
+            .then(() => login.startLogin())
+            .then(() => helpers.wait(40))
+            .then(() => {
+                assert.strictEqual(server.requests.length, 2);
+                assert.strictEqual(server.requests[1].body.authId, undefined);
+            });
+    });
+
+    it("passes the failures of polling to the failureHandler when there is no errorHandler", () => {
+        let done = resolver(),
+            server = helpers.fakeServer([waiting(1), helpers.respond({ code: 500, message: "Internal Server Error" }, 500)]);
+
+        createLogin(server, { failureHandler: done.resolve }).startLogin();
+        return done.promise.then((error) => {
+            assert.strictEqual(error.type, JourneyError.SERVER);
+            assert.strictEqual(server.requests.length, 2);
+        });
+    });
+
+    it("passes the failures of polling to the pollingErrorHandler of a journey", () => {
+        let done = resolver(),
+            unhandled = [],
+            onUnhandled = (reason) => unhandled.push(reason),
+            server = helpers.fakeServer([
+                helpers.respond(helpers.step([helpers.pollingCallback(1)])),
+                helpers.respond({ code: 500, message: "Internal Server Error" }, 500)
+            ]),
+            journey = new Journey({
+                authenticateUrl,
+                transport: server.transport,
+                pollingErrorHandler: done.resolve
+            });
+
+        process.on("unhandledRejection", onUnhandled);
+        journey.start();
+        return done.promise
+            .then((error) => {
+                assert.strictEqual(error.type, JourneyError.SERVER);
+                return helpers.wait(10);
+            })
+            .then(() => {
+                process.removeListener("unhandledRejection", onUnhandled);
+                assert.deepStrictEqual(unhandled, []);
+            });
+    });
+});
@@ -0,0 +1,543 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const JourneyError = require("../errors");
+const helpers = require("./helpers");
+
+const authenticateUrl = "https://am.example.com/am/json/realms/root/authenticate";
+
+let ForgeRockEmbeddedLogin;
+
+let createLogin = (server, options) => {
+    let loginElement = document.createElement("div");
+    document.body.appendChild(loginElement);
+    return new ForgeRockEmbeddedLogin(Object.assign({ authenticateUrl, loginElement, transport: server.transport }, options));
+};
+
+/**
+ * @param {Array} callbacks - the callbacks of the first step
+ * @param {Object} [options] - options for the ForgeRockEmbeddedLogin
+ * @returns {Promise} - resolved with the login once the first step has been rendered
+ */
+let renderStep = (callbacks, options) => new Promise((resolve) => {
+    let login = createLogin(helpers.fakeServer([helpers.respond(helpers.step(callbacks))]),
+        Object.assign({ postRenderHandler: () => resolve(login) }, options));
+    login.startLogin();
+});
+
+/**
+ * @param {Object} login - the ForgeRockEmbeddedLogin
+ * @returns {Promise} - resolved once the next step has been rendered
+ */
+let rendered = (login) => new Promise((resolve) => {
+    let listener = () => {
+        login.off("render", listener);
+        resolve(login);
+    };
+    login.on("render", listener);
+});
+
+let textOutput = (message, messageType) => helpers.callback("TextOutputCallback",
+    [{ name: "message", value: message }, { name: "messageType", value: messageType }]);
+
+describe("ForgeRockEmbeddedLogin", () => {
+    before(() => {
+        helpers.createDom();
+        ForgeRockEmbeddedLogin = require("../index");
+    });
+
+    beforeEach(() => {
+        document.body.textContent = "";
+    });
+
+    it("renders each step, and submits the values entered", () => {
+        let server = helpers.fakeServer([
+                helpers.respond(helpers.step([helpers.nameCallback(), helpers.passwordCallback()])),
+                helpers.respond(helpers.success())
+            ]),
+            succeeded = new Promise((resolve) => {
+                let login = createLogin(server, {
+                    successHandler: resolve,
+                    postRenderHandler: () => {
+                        let form = login.loginElement.getElementsByTagName("form")[0];
+                        form.elements.callback_0.value = "demo";
+                        form.elements.callback_1.value = "Ch4ng3it!";
+                        form.requestSubmit();
+                    }
+                });
+                login.startLogin();
+            });
+
+        return succeeded.then(() => {
+            assert.deepStrictEqual(server.requests[1].body.callbacks.map((callback) => callback.input[0].value), ["demo", "Ch4ng3it!"]);
+        });
+    });
+
+    it("renders the text supplied by the server as text, rather than markup", () => {
+        let name = helpers.callback("NameCallback", [{ name: "prompt", value: "<b>User</b> Name" }],
+            [{ name: "IDToken1", value: "\"><img src=x onerror=alert(1)>" }]);
+
+        return renderStep([name, textOutput("<img src=x onerror=alert(1)>", "0")]).then((login) => {
+            let input = login.loginElement.querySelector("[name=callback_0]"),
+                message = login.loginElement.querySelector("#callback_1");
+            assert.strictEqual(login.loginElement.querySelector("label[for=callback_0]").textContent, "<b>User</b> Name");
+            assert.strictEqual(input.value, "\"><img src=x onerror=alert(1)>");
+            assert.strictEqual(message.textContent, "<img src=x onerror=alert(1)>");
+            assert.strictEqual(message.className, "INFORMATION");
+            assert.strictEqual(login.loginElement.querySelector("img, b"), null);
+        });
+    });
+
+    it("doesn't add the scripts sent by the server unless they are allowed", () => {
+        return renderStep([helpers.nameCallback(), textOutput("window.compromised = true;", "4")]).then((login) => {
+            assert.strictEqual(login.loginElement.querySelector("script"), null);
+        });
+    });
+
+    it("adds the scripts which are allowed, with the nonce", () => {
+        return renderStep([
+            textOutput("document.title = 'allowed';", "4"),
+            textOutput("document.title = 'denied';", "4"),
+            textOutput("/* recognised */ run();", "4")
+        ], {
+            allowScripts: true,
+            scriptNonce: "nonce-123",
+            scriptAllowlist: ["document.title = 'allowed';", /^\/\* recognised \*\//]
+        }).then((login) => {
+            let scripts = Array.from(login.loginElement.querySelectorAll("script"));
+            assert.deepStrictEqual(scripts.map((script) => script.text), ["document.title = 'allowed';", "/* recognised */ run();"]);
+            assert.ok(scripts.every((script) => script.getAttribute("nonce") === "nonce-123"));
+        });
+    });
+
+    it("lets the scriptHandler replace the scripts it recognises", () => {
+        let handled = [];
+
+        return renderStep([textOutput("known();", "4"), textOutput("unknown();", "4")], {
+            allowScripts: true,
+            scriptHandler: (script, index) => {
+                handled.push(index);
+                return script === "known();" ? ForgeRockEmbeddedLogin.createElement("p", { class: "replaced" }, "Replaced") : undefined;
+            }
+        }).then((login) => {
+            assert.deepStrictEqual(handled, [0, 1]);
+            assert.strictEqual(login.loginElement.querySelector(".replaced").textContent, "Replaced");
+            assert.deepStrictEqual(Array.from(login.loginElement.querySelectorAll("script")).map((script) => script.text), ["unknown();"]);
+        });
+    });
+
+    it("lists the policy requirements of a field, or the policies its value failed", () => {
+        let password = (failedPolicies) => helpers.callback("ValidatedCreatePasswordCallback", [
+            { name: "prompt", value: "Password" },
+            { name: "policies", value: { policies: [{ policyRequirements: ["MIN_LENGTH"], params: { minLength: 8 } }] } },
+            { name: "failedPolicies", value: failedPolicies },
+            { name: "echoOn", value: false }
+        ], [{ name: "IDToken1", value: "" }]);
+
+        return renderStep([password([])])
+            .then((login) => {
+                let requirements = login.loginElement.querySelector("#callback_0_requirements");
+                assert.strictEqual(requirements.textContent, "Must be at least 8 characters long");
+                assert.strictEqual(login.loginElement.querySelector("input[name=callback_0]").required, true);
+                return renderStep([password(["{ \"policyRequirement\": \"UNIQUE\" }"])]);
+            })
+            .then((login) => {
+                assert.strictEqual(login.loginElement.querySelector("#callback_0_errors").textContent, "Must be unique");
+                assert.strictEqual(login.loginElement.querySelector("#callback_0_requirements"), null);
+            });
+    });
+
+    it("renders a button for each identity provider, and submits the one pressed", () => {
+        let selectIdP = helpers.callback("SelectIdPCallback", [{ name: "providers", value: [
+                { provider: "localAuthentication" },
+                { provider: "google", uiConfig: { buttonDisplayName: "Google", buttonImage: "https://idp.example.com/google.png" } }
+            ] }], [{ name: "IDToken1", value: "" }]),
+            server = helpers.fakeServer([
+                helpers.respond(helpers.step([helpers.nameCallback(), selectIdP])),
+                helpers.respond(helpers.success())
+            ]);
+
+        return new Promise((resolve) => {
+            let login = createLogin(server, {
+                successHandler: resolve,
+                postRenderHandler: () => {
+                    let button = login.loginElement.querySelector("button.provider-google");
+                    assert.strictEqual(button.textContent, "Google");
+                    assert.strictEqual(button.getElementsByTagName("img")[0].src, "https://idp.example.com/google.png");
+                    assert.strictEqual(login.loginElement.querySelector("input[type=hidden][name=callback_1]").value,
+                        "localAuthentication");
+                    login.loginElement.getElementsByTagName("form")[0].requestSubmit(button);
+                }
+            });
+            login.startLogin();
+        }).then(() => assert.strictEqual(server.requests[1].body.callbacks[1].input[0].value, "google"));
+    });
+
+    it("saves the journey, then follows a RedirectCallback which uses GET", () => {
+        let saved = [],
+            login = createLogin(helpers.fakeServer([helpers.respond(helpers.step([helpers.callback("RedirectCallback", [
+                { name: "redirectUrl", value: "https://app.example.com/login#idp" },
+                { name: "redirectMethod", value: "GET" }
+            ])]))]));
+        login.journey.saveState = () => saved.push(true);
+
+        login.startLogin();
+        return helpers.wait(20).then(() => {
+            assert.strictEqual(window.location.hash, "#idp");
+            assert.deepStrictEqual(saved, [true]);
+        });
+    });
+
+    it("posts the redirectData of a RedirectCallback which uses POST", () => {
+        let submitted = [],
+            submit = window.HTMLFormElement.prototype.submit,
+            login = createLogin(helpers.fakeServer([helpers.respond(helpers.step([helpers.callback("RedirectCallback", [
+                { name: "redirectUrl", value: "https://idp.example.com/sso" },
+                { name: "redirectMethod", value: "POST" },
+                { name: "redirectData", value: { SAMLRequest: "request", RelayState: "state" } }
+            ])]))]));
+        window.HTMLFormElement.prototype.submit = function () {
+            submitted.push(this);
+        };
+
+        login.startLogin();
+        return helpers.wait(20).then(() => {
+            window.HTMLFormElement.prototype.submit = submit;
+            assert.strictEqual(submitted.length, 1);
+            assert.strictEqual(submitted[0].action, "https://idp.example.com/sso");
+            assert.strictEqual(submitted[0].method, "post");
+            assert.deepStrictEqual(Array.from(submitted[0].elements).map((input) => [input.type, input.name, input.value]),
+                [["hidden", "SAMLRequest", "request"], ["hidden", "RelayState", "state"]]);
+        });
+    });
+
+    it("resolves the redirectUrl of a RedirectCallback against the page", () => {
+        let login = createLogin(helpers.fakeServer([helpers.respond(helpers.step([helpers.callback("RedirectCallback", [
+            { name: "redirectUrl", value: "/login#relative" }
+        ])]))]));
+        login.journey.saveState = () => null;
+
+        login.startLogin();
+        return helpers.wait(20).then(() => {
+            assert.strictEqual(window.location.href, "https://app.example.com/login#relative");
+        });
+    });
+
+    it("reports a RedirectCallback whose redirectUrl isn't http(s), rather than following it", () => {
+        let errors = [],
+            saved = [],
+            submitted = [],
+            submit = window.HTMLFormElement.prototype.submit,
+            href = window.location.href,
+            redirect = (redirectUrl, redirectMethod) => helpers.respond(helpers.step([helpers.callback("RedirectCallback", [
+                { name: "redirectUrl", value: redirectUrl },
+                { name: "redirectMethod", value: redirectMethod },
+                { name: "redirectData", value: { SAMLRequest: "request" } }
+            ])])),
+            login = createLogin(helpers.fakeServer([
+                redirect("javascript:window.compromised=true", "GET"),
+                redirect("data:text/html,<script>window.compromised=true</script>", "POST")
+            ]), { errorHandler: (error) => errors.push([error.type, error.message]) });
+        login.journey.saveState = () => saved.push(true);
+        window.HTMLFormElement.prototype.submit = function () {
+            submitted.push(this);
+        };
+
+        return login.startLogin()
+            .then(() => helpers.wait(10))
+            .then(() => login.startLogin())
+            .then(() => helpers.wait(10))
+            .then(() => {
+                window.HTMLFormElement.prototype.submit = submit;
+                assert.deepStrictEqual(errors, [
+                    [JourneyError.MALFORMED_RESPONSE, "The redirectUrl of the RedirectCallback is not an http(s) URL"],
+                    [JourneyError.MALFORMED_RESPONSE, "The redirectUrl of the RedirectCallback is not an http(s) URL"]
+                ]);
+                assert.deepStrictEqual(saved, []);
+                assert.deepStrictEqual(submitted, []);
+                assert.strictEqual(window.compromised, undefined);
+                assert.strictEqual(window.location.href, href);
+            });
+    });
+
+    it("resumes the journey from the address bar, then removes the parameters it used", () => {
+        let server = helpers.fakeServer([helpers.respond(helpers.step([helpers.nameCallback()]))]),
+            login = createLogin(server);
+        window.history.replaceState(null, "", "/login?code=abc&state=xyz&page=1");
+
+        return login.resumeLogin().then(() => {
+            assert.ok(/[?&]code=abc(&|$)/.test(server.requests[0].url));
+            assert.strictEqual(window.location.search, "?page=1");
+        });
+    });
+
+    it("labels each field, and marks it for autocompletion", () => {
+        let otp = helpers.callback("PasswordCallback", [{ name: "prompt", value: "One Time Password" }],
+            [{ name: "IDToken3", value: "" }]);
+
+        return renderStep([helpers.nameCallback(), helpers.passwordCallback(), otp]).then((login) => {
+            let labels = Array.from(login.loginElement.getElementsByTagName("label")),
+                fields = labels.map((label) => document.getElementById(label.getAttribute("for")));
+            assert.deepStrictEqual(labels.map((label) => label.textContent), ["User Name", "Password", "One Time Password"]);
+            assert.deepStrictEqual(fields.map((field) => field.name), ["callback_0", "callback_1", "callback_2"]);
+            assert.deepStrictEqual(fields.map((field) => field.getAttribute("autocomplete")),
+                ["username", "current-password", "one-time-code"]);
+        });
+    });
+
+    it("moves the focus to the first field of each step, or to the field which failed validation", () => {
+        let required = helpers.callback("NameCallback",
+                [{ name: "prompt", value: "User Name" }, { name: "required", value: true }],
+                [{ name: "IDToken2", value: "" }]),
+            server = helpers.fakeServer([helpers.respond(helpers.step([helpers.nameCallback(), required]))]),
+            renders = 0;
+
+        return new Promise((resolve) => {
+            let login = createLogin(server, {
+                postRenderHandler: () => {
+                    renders += 1;
+                    if (renders === 1) {
+                        assert.strictEqual(document.activeElement, document.getElementById("callback_0"));
+                        login.loginElement.getElementsByTagName("form")[0].requestSubmit();
+                    } else {
+                        resolve(login);
+                    }
+                }
+            });
+            login.startLogin();
+        }).then(() => {
+            let field = document.getElementById("callback_1");
+            assert.strictEqual(server.requests.length, 1);
+            assert.strictEqual(document.activeElement, field);
+            assert.strictEqual(field.getAttribute("aria-invalid"), "true");
+            assert.strictEqual(field.getAttribute("aria-describedby"), "callback_1_errors");
+            assert.strictEqual(document.getElementById("callback_1_errors").getAttribute("role"), "alert");
+        });
+    });
+
+    it("leaves the focus alone while polling repeats the same step", () => {
+        let waiting = () => helpers.respond(helpers.step([helpers.pollingCallback(20), helpers.callback("ConfirmationCallback",
+                [{ name: "prompt", value: "" }, { name: "options", value: ["Cancel"] }, { name: "defaultOption", value: 0 }],
+                [{ name: "IDToken2", value: 100 }])])),
+            server = helpers.fakeServer(() => waiting()),
+            login = createLogin(server, { pollingMaxAttempts: 1, pollingTimeoutHandler: () => null }),
+            outside = document.createElement("input");
+        document.body.appendChild(outside);
+
+        let firstRender = rendered(login);
+        login.startLogin();
+        return firstRender
+            .then(() => {
+                assert.strictEqual(document.activeElement.tagName, "INPUT");
+                assert.ok(login.loginElement.contains(document.activeElement));
+                outside.focus();
+                return rendered(login);
+            })
+            .then(() => {
+                assert.strictEqual(server.requests.length, 2);
+                assert.strictEqual(document.activeElement, outside);
+                login.destroy();
+            });
+    });
+
+    it("labels the select of a ChoiceCallback and describes its requirements like other fields", () => {
+        let choice = helpers.callback("ChoiceCallback", [
+                { name: "prompt", value: "Colour" },
+                { name: "choices", value: ["Red", "Green"] },
+                { name: "defaultChoice", value: 1 },
+                { name: "policies", value: { policies: [{ policyRequirements: ["REQUIRED"] }] } }
+            ], [{ name: "IDToken1", value: 1 }]),
+            server = helpers.fakeServer([helpers.respond(helpers.step([choice]))]),
+            login = createLogin(server);
+
+        return login.startLogin()
+            .then(() => helpers.wait(10))
+            .then(() => {
+                let select = document.getElementById("callback_0");
+                assert.strictEqual(select.tagName, "SELECT");
+                assert.strictEqual(select.name, "callback_0");
+                assert.strictEqual(document.getElementById("label_callback_0").getAttribute("for"), "callback_0");
+                assert.deepStrictEqual(Array.from(select.options).map((option) => option.textContent), ["Red", "Green"]);
+                assert.strictEqual(select.value, "1");
+                assert.strictEqual(select.getAttribute("aria-describedby"), "callback_0_requirements");
+                assert.strictEqual(document.getElementById("callback_0_requirements").textContent, "This field is required");
+            });
+    });
+
+    it("announces messages and failures", () => {
+        let server = helpers.fakeServer([
+            helpers.respond(helpers.step([textOutput("Welcome", "0"), textOutput("Locked soon", "1"), helpers.nameCallback(3)])),
+            helpers.failure()
+        ]);
+
+        return new Promise((resolve) => {
+            let login = createLogin(server, {
+                failureHandler: () => resolve(login),
+                postRenderHandler: () => {
+                    assert.deepStrictEqual([0, 1].map((index) => document.getElementById(`callback_${index}`).getAttribute("role")),
+                        ["status", "alert"]);
+                    login.loginElement.getElementsByTagName("form")[0].requestSubmit();
+                }
+            });
+            login.startLogin();
+        }).then((login) => {
+            let liveRegion = login.loginElement.querySelector(".live-region");
+            assert.strictEqual(liveRegion.getAttribute("aria-live"), "polite");
+            assert.strictEqual(liveRegion.textContent, "Authentication Failed");
+        });
+    });
+
+    it("ignores the form being submitted again while busy, and disables its fields meanwhile", () => {
+        let release,
+            events = [],
+            server = helpers.fakeServer([
+                helpers.respond(helpers.step([helpers.nameCallback(), helpers.passwordCallback()])),
+                () => new Promise((resolve) => {
+                    release = resolve;
+                })
+            ]),
+            fieldStates = (login) => {
+                let form = login.loginElement.getElementsByTagName("form")[0];
+                return form ? Array.from(form.elements).map((field) => field.disabled) : [];
+            };
+
+        return new Promise((resolve) => {
+            let login = createLogin(server, {
+                errorHandler: () => null,
+                loadingHandler: (busy) => events.push(["loadingHandler", busy, fieldStates(login)]),
+                postRenderHandler: () => resolve(login)
+            });
+            ["forgerock-loading", "forgerock-loaded"].forEach((type) =>
+                login.loginElement.addEventListener(type, () => events.push([type, login.isBusy()])));
+            login.startLogin();
+        }).then((login) => {
+            let form = login.loginElement.getElementsByTagName("form")[0];
+            // starting the journey counts as being busy too
+            assert.deepStrictEqual(events.map((event) => event[0]),
+                ["forgerock-loading", "loadingHandler", "forgerock-loaded", "loadingHandler"]);
+            events.length = 0;
+            form.requestSubmit();
+            return helpers.wait(10).then(() => {
+                assert.strictEqual(login.isBusy(), true);
+                assert.strictEqual(login.loginElement.getAttribute("aria-busy"), "true");
+                assert.deepStrictEqual(fieldStates(login), [true, true, true]);
+                form.requestSubmit();
+                return helpers.wait(10);
+            }).then(() => {
+                assert.strictEqual(server.requests.length, 2);
+                release(helpers.respond({ code: 500, message: "Internal Server Error" }, 500));
+                return helpers.wait(10);
+            }).then(() => {
+                assert.strictEqual(login.isBusy(), false);
+                assert.strictEqual(login.loginElement.hasAttribute("aria-busy"), false);
+                assert.deepStrictEqual(events, [
+                    ["forgerock-loading", true],
+                    ["loadingHandler", true, [true, true, true]],
+                    ["forgerock-loaded", false],
+                    ["loadingHandler", false, [false, false, false]]
+                ]);
+            });
+        });
+    });
+
+    it("puts back the original content of the loginElement when destroyed", () => {
+        let loginElement = document.createElement("div"),
+            server = helpers.fakeServer([helpers.respond(helpers.step([helpers.nameCallback()]))]);
+        loginElement.innerHTML = "<p>Loading...</p>";
+        document.body.appendChild(loginElement);
+
+        return new Promise((resolve) => {
+            let login = new ForgeRockEmbeddedLogin({
+                authenticateUrl,
+                loginElement,
+                transport: server.transport,
+                postRenderHandler: () => resolve(login)
+            });
+            login.startLogin();
+        }).then((login) => {
+            assert.notStrictEqual(loginElement.getElementsByTagName("form")[0], undefined);
+            login.destroy();
+            assert.strictEqual(loginElement.innerHTML, "<p>Loading...</p>");
+            assert.strictEqual(login.journey.destroyed, true);
+        });
+    });
+
+    it("discards a step rendered after it has been destroyed", () => {
+        let postRendered = 0,
+            release,
+            loginElement = document.createElement("div"),
+            server = helpers.fakeServer([helpers.respond(helpers.step([helpers.nameCallback()]))]);
+        loginElement.innerHTML = "<p>Loading...</p>";
+        document.body.appendChild(loginElement);
+
+        let login = new ForgeRockEmbeddedLogin({
+                authenticateUrl,
+                loginElement,
+                transport: server.transport,
+                postRenderHandler: () => postRendered++
+            }),
+            renderNameCallback = login.renderNameCallback;
+        login.renderNameCallback = function () {
+            let content = renderNameCallback.apply(this, arguments);
+            return new Promise((resolve) => {
+                release = () => resolve(content);
+            });
+        };
+
+        return login.startLogin()
+            .then(() => {
+                login.destroy();
+                release();
+                return helpers.wait(10);
+            })
+            .then(() => {
+                assert.strictEqual(postRendered, 0);
+                assert.strictEqual(loginElement.innerHTML, "<p>Loading...</p>");
+            });
+    });
+
+    it("calls the failureHandler when a submission fails and there is no errorHandler", () => {
+        let server = helpers.fakeServer([
+            helpers.respond(helpers.step([helpers.nameCallback()])),
+            helpers.respond({ code: 500, message: "Internal Server Error" }, 500)
+        ]);
+
+        return new Promise((resolve) => {
+            let login = createLogin(server, {
+                failureHandler: (error) => resolve({ login, error }),
+                postRenderHandler: () => login.loginElement.getElementsByTagName("form")[0].requestSubmit()
+            });
+            login.startLogin();
+        }).then((result) => {
+            assert.strictEqual(result.error.type, JourneyError.SERVER);
+            assert.strictEqual(result.login.getLiveRegion().textContent, "Login failure");
+        });
+    });
+
+    it("passes the failure to render a step to the errorHandler, or else to the failureHandler", () => {
+        let broken = new Error("Cannot render"),
+            errors = [],
+            failures = [],
+            render = (options) => {
+                let login = createLogin(helpers.fakeServer([helpers.respond(helpers.step([helpers.nameCallback()]))]),
+                    Object.assign({ postRenderHandler: () => {
+                        throw broken;
+                    } }, options));
+                return login.startLogin().then(() => helpers.wait(10)).then(() => login);
+            };
+
+        return render({ errorHandler: (error) => errors.push(error) })
+            .then(() => render({ failureHandler: (error) => failures.push(error) }))
+            .then((login) => {
+                assert.deepStrictEqual(errors, [broken]);
+                assert.deepStrictEqual(failures, [broken]);
+                assert.strictEqual(login.getLiveRegion().textContent, "Login failure");
+            });
+    });
+
+    it("builds DOM nodes without parsing markup", () => {
+        let el = ForgeRockEmbeddedLogin.createElement("label", { for: "field", hidden: true, title: undefined, disabled: false },
+            ["<b>Name</b>", ForgeRockEmbeddedLogin.createElement("input", { id: "field" })]);
+
+        assert.strictEqual(el.outerHTML, "<label for=\"field\" hidden=\"\">&lt;b&gt;Name&lt;/b&gt;<input id=\"field\"></label>");
+    });
+});
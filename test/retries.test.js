@@ -0,0 +1,94 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const Journey = require("../journey");
+const JourneyError = require("../errors");
+const helpers = require("./helpers");
+
+const authenticateUrl = "https://am.example.com/am/json/realms/root/authenticate";
+
+let createJourney = (responses, options) => {
+    let server = helpers.fakeServer(responses);
+    return {
+        server,
+        journey: new Journey(Object.assign({ authenticateUrl, transport: server.transport, retryDelay: 1 }, options))
+    };
+};
+
+let firstStep = () => helpers.respond(helpers.step([helpers.nameCallback()]));
+
+describe("Retries", () => {
+    it("retries the start of the journey after a network error", () => {
+        let { server, journey } = createJourney([helpers.networkError, firstStep()]);
+
+        return journey.start().then((step) => {
+            assert.strictEqual(step.status, "step");
+            assert.deepStrictEqual(server.requests.map((req) => req.context.attempt), [0, 1]);
+        });
+    });
+
+    it("retries the start of the journey after a timeout", () => {
+        let { server, journey } = createJourney([() => new Promise(() => null), firstStep()], { requestTimeout: 20 });
+
+        return journey.start().then((step) => {
+            assert.strictEqual(step.status, "step");
+            assert.strictEqual(server.requests.length, 2);
+            assert.ok(server.requests[0].options.signal.aborted);
+        });
+    });
+
+    it("gives up after the number of retries", () => {
+        let { server, journey } = createJourney([helpers.networkError, helpers.networkError], { retries: 1 });
+
+        return journey.start().then(() => assert.fail("expected the journey to be rejected"), (error) => {
+            assert.strictEqual(error.type, JourneyError.NETWORK);
+            assert.strictEqual(server.requests.length, 2);
+        });
+    });
+
+    it("doesn't resend submitted callbacks which may have reached the server", () => {
+        let { server, journey } = createJourney([firstStep(), helpers.networkError]);
+
+        return journey.start()
+            .then(() => journey.next({ 0: "demo" }))
+            .then(() => assert.fail("expected the submission to be rejected"), (error) => {
+                assert.strictEqual(error.type, JourneyError.NETWORK);
+                assert.strictEqual(server.requests.length, 2);
+            });
+    });
+
+    it("resends submitted callbacks when retrySubmits is set", () => {
+        let { server, journey } = createJourney([firstStep(), helpers.networkError, helpers.respond(helpers.success())],
+            { retrySubmits: true });
+
+        return journey.start()
+            .then(() => journey.next({ 0: "demo" }))
+            .then((step) => {
+                assert.strictEqual(step.status, "success");
+                assert.deepStrictEqual(server.requests[2].body, server.requests[1].body);
+            });
+    });
+
+    it("resends any request which the server refused", () => {
+        let { server, journey } = createJourney([
+            firstStep(),
+            helpers.respond({ code: 503, message: "Service Unavailable" }, 503),
+            helpers.respond(helpers.success())
+        ]);
+
+        return journey.start()
+            .then(() => journey.next({ 0: "demo" }))
+            .then((step) => {
+                assert.strictEqual(step.status, "success");
+                assert.strictEqual(server.requests.length, 3);
+            });
+    });
+
+    it("doesn't resend a request which failed on the server", () => {
+        let { server, journey } = createJourney([helpers.respond({ code: 500, message: "Internal Server Error" }, 500)]);
+
+        return journey.start().then(() => assert.fail("expected the journey to be rejected"), (error) => {
+            assert.strictEqual(error.type, JourneyError.SERVER);
+            assert.strictEqual(server.requests.length, 1);
+        });
+    });
+});
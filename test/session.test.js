@@ -0,0 +1,179 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const Session = require("../session");
+const JourneyError = require("../errors");
+const helpers = require("./helpers");
+
+const authenticateUrl = "https://am.example.com/am/json/realms/root/realms/alpha/authenticate?authIndexType=service&authIndexValue=Login";
+
+describe("Session", () => {
+    it("finds the sessions endpoint of the realm from the authenticateUrl", () => {
+        assert.strictEqual(Session.getSessionsUrl(authenticateUrl), "https://am.example.com/am/json/realms/root/realms/alpha/sessions");
+        assert.strictEqual(Session.getSessionsUrl("https://am.example.com/am/json/authenticate/"), "https://am.example.com/am/json/sessions");
+        assert.strictEqual(Session.getSessionsUrl("https://am.example.com/login"), null);
+    });
+
+    it("sends the tokenId under the name of the session cookie", () => {
+        let server = helpers.fakeServer([helpers.respond({ valid: true, uid: "demo", realm: "/alpha" })]),
+            session = new Session({ authenticateUrl, tokenId: "token-id", cookieName: "session", transport: server.transport });
+
+        return session.validate().then((result) => {
+            let req = server.requests[0];
+            assert.strictEqual(result.uid, "demo");
+            assert.strictEqual(req.url, "https://am.example.com/am/json/realms/root/realms/alpha/sessions?_action=validate");
+            assert.strictEqual(req.options.headers.session, "token-id");
+            assert.strictEqual(req.options.headers["accept-api-version"], "protocol=1.0,resource=2.1");
+            assert.deepStrictEqual(req.body, { tokenId: "token-id" });
+            assert.deepStrictEqual(req.context, { source: "session", action: "validate" });
+        });
+    });
+
+    it("forgets the tokenId once logged out", () => {
+        let server = helpers.fakeServer([helpers.respond({ result: "Successfully logged out" })]),
+            session = new Session({ authenticateUrl, tokenId: "token-id", transport: server.transport });
+
+        return session.logout().then((result) => {
+            assert.strictEqual(result.result, "Successfully logged out");
+            assert.strictEqual(server.requests[0].options.headers.iPlanetDirectoryPro, "token-id");
+            assert.strictEqual(server.requests[0].options.headers["accept-api-version"], "protocol=1.0,resource=3.1");
+            assert.strictEqual(session.tokenId, undefined);
+        });
+    });
+
+    it("rejects with a JourneyError when the request fails", () => {
+        let server = helpers.fakeServer([helpers.respond({ code: 403, message: "Forbidden" }, 403)]),
+            session = new Session({ authenticateUrl, transport: server.transport });
+
+        return session.getInfo().then(() => assert.fail("expected the request to be rejected"), (error) => {
+            assert.strictEqual(error.type, JourneyError.SERVER);
+            assert.strictEqual(error.status, 403);
+        });
+    });
+
+    it("warns of the expiry of the session while watching it", () => {
+        let notices = [],
+            server = helpers.fakeServer(() => helpers.respond({
+                username: "demo",
+                maxIdleExpirationTime: new Date(Date.now() + 40).toISOString(),
+                maxSessionExpirationTime: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+            })),
+            session = new Session({
+                authenticateUrl,
+                transport: server.transport,
+                sessionWarningTime: 20,
+                sessionWarningHandler: (type) => notices.push(`warning:${type}`),
+                sessionExpiredHandler: (type) => notices.push(`expired:${type}`)
+            });
+
+        return session.watch()
+            .then(() => helpers.wait(80))
+            .then(() => {
+                assert.deepStrictEqual(notices, ["warning:idle", "expired:idle"]);
+                assert.deepStrictEqual(session.watchTimers, []);
+            });
+    });
+
+    it("stops the notices once unwatched", () => {
+        let notices = [],
+            server = helpers.fakeServer(() => helpers.respond({ maxIdleExpirationTime: new Date(Date.now() + 20).toISOString() })),
+            session = new Session({
+                authenticateUrl,
+                transport: server.transport,
+                sessionWarningHandler: (type) => notices.push(type),
+                sessionExpiredHandler: (type) => notices.push(type)
+            });
+
+        return session.watch()
+            .then(() => {
+                session.unwatch();
+                return helpers.wait(40);
+            })
+            .then(() => assert.deepStrictEqual(notices, []));
+    });
+});
+
+describe("ForgeRockEmbeddedLogin sessions", () => {
+    helpers.createDom();
+    const ForgeRockEmbeddedLogin = require("../index");
+
+    it("passes the session to the successHandler, and starts watching it", () => {
+        let warnings = [],
+            server = helpers.fakeServer((req) => (/authenticate/.test(req.url)
+                ? helpers.respond(helpers.success({ realm: "/alpha" }))
+                : helpers.respond({ maxIdleExpirationTime: new Date(Date.now() + 30).toISOString() }))),
+            succeeded = new Promise((resolve) => {
+                new ForgeRockEmbeddedLogin({
+                    authenticateUrl,
+                    loginElement: document.createElement("div"),
+                    transport: server.transport,
+                    sessionWarningTime: 10,
+                    sessionWarningHandler: (type) => warnings.push(type),
+                    successHandler: function () {
+                        resolve({ login: this, args: Array.from(arguments) });
+                    }
+                }).startLogin();
+            });
+
+        return succeeded
+            .then((result) => {
+                assert.deepStrictEqual(result.args, ["token-id", "https://am.example.com/console", "/alpha", undefined]);
+                assert.strictEqual(result.login.session.tokenId, "token-id");
+                return helpers.wait(40).then(() => result.login.session.unwatch());
+            })
+            .then(() => {
+                assert.ok(/sessions\?_action=getSessionInfo$/.test(server.requests[1].url));
+                assert.deepStrictEqual(warnings, ["idle"]);
+            });
+    });
+
+    it("emits the warning and the expiry of the session, even without the handler for either", () => {
+        let events = [],
+            server = helpers.fakeServer((req) => (/authenticate/.test(req.url)
+                ? helpers.respond(helpers.success())
+                : helpers.respond({ maxIdleExpirationTime: new Date(Date.now() + 30).toISOString() }))),
+            expired = [],
+            login = new ForgeRockEmbeddedLogin({
+                authenticateUrl,
+                loginElement: document.createElement("div"),
+                transport: server.transport,
+                sessionWarningTime: 10,
+                sessionExpiredHandler: (type) => expired.push(type)
+            });
+        login.on("sessionWarning", (event) => events.push([event.type, event.expiry, event.expiresAt instanceof Date]));
+        login.on("sessionExpired", (event) => events.push([event.type, event.expiry]));
+
+        return login.startLogin()
+            .then(() => helpers.wait(60))
+            .then(() => {
+                assert.deepStrictEqual(events, [["sessionWarning", "idle", true], ["sessionExpired", "idle"]]);
+                assert.deepStrictEqual(expired, ["idle"]);
+            });
+    });
+
+    it("passes the failure to watch the session, or to revoke the tokens, to the failureHandler without an errorHandler", () => {
+        let failures = [],
+            server = helpers.fakeServer((req) => (/authenticate/.test(req.url)
+                ? helpers.respond(helpers.success())
+                : /logout/.test(req.url)
+                    ? helpers.respond({ result: "Successfully logged out" })
+                    : helpers.respond({ error: "server_error", code: 500, message: "Internal Server Error" }, 500))),
+            login = new ForgeRockEmbeddedLogin({
+                authenticateUrl,
+                loginElement: document.createElement("div"),
+                transport: server.transport,
+                sessionExpiredHandler: () => null,
+                failureHandler: (error) => failures.push(error.type),
+                oauth: { clientId: "client", redirectUri: "https://app.example.com/callback", authorize: "request" }
+            });
+        // the tokens are already held, so that only revoking them fails
+        login.oauth.authorize = () => Promise.resolve(login.oauth.tokenStore.set({ accessToken: "access-token" }));
+
+        return login.startLogin()
+            .then(() => helpers.wait(10))
+            .then(() => login.logout())
+            .then(() => {
+                assert.deepStrictEqual(failures, [JourneyError.SERVER, JourneyError.OAUTH]);
+                assert.strictEqual(login.getLiveRegion().textContent, "Login failure");
+            });
+    });
+});
@@ -0,0 +1,304 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert");
+const webauthn = require("../webauthn");
+const Journey = require("../journey");
+const helpers = require("./helpers");
+
+const authenticateUrl = "https://am.example.com/am/json/realms/root/authenticate";
+
+let outcomeCallback = () => helpers.callback("HiddenValueCallback",
+    [{ name: "value", value: "false" }, { name: "id", value: "webAuthnOutcome" }],
+    [{ name: "IDToken2", value: "webAuthnOutcome" }]);
+
+let metadata = (data) => [helpers.callback("MetadataCallback", [{ name: "data", value: data }]), outcomeCallback()];
+
+let script = (text) => [helpers.callback("TextOutputCallback",
+    [{ name: "message", value: text }, { name: "messageType", value: "4" }]), outcomeCallback()];
+
+let bytes = (buffer) => Array.from(new Int8Array(buffer));
+
+let toBuffer = (text) => Uint8Array.from(text, (c) => c.charCodeAt(0)).buffer;
+
+let registrationMetadata = () => metadata({
+    _action: "webauthn_registration",
+    challenge: "AQID",
+    relyingPartyName: "ForgeRock",
+    attestationPreference: "none",
+    displayName: "Demo User",
+    userName: "demo",
+    userId: "ZGVtbw",
+    relyingPartyId: "id: \"example.com\",",
+    pubKeyCredParams: "[ { \"type\": \"public-key\", \"alg\": -257 }, { \"type\": \"public-key\", \"alg\": -7 } ]",
+    authenticatorSelection: "{\"userVerification\":\"preferred\"}",
+    timeout: "60000",
+    excludeCredentials: "{ type: \"public-key\", id: new Int8Array([1, -2]).buffer }"
+});
+
+let authenticationMetadata = () => metadata({
+    _action: "webauthn_authentication",
+    challenge: "AQID",
+    relyingPartyId: "rpId: \"example.com\",",
+    userVerification: "required",
+    timeout: "60000",
+    allowCredentials: "allowCredentials: [{ type: \"public-key\", id: new Int8Array([3, 4]).buffer }]"
+});
+
+let registrationScript = () => script([
+    "var publicKey = {",
+    "    challenge: new Int8Array([1, 2, 3]).buffer,",
+    "    rp: { name: \"ForgeRock\" },",
+    "    user: { id: Uint8Array.from(\"ZGVtbw\", (c) => c.charCodeAt(0)), name: \"demo\", displayName: \"Demo User\" },",
+    "    pubKeyCredParams: [ { \"type\": \"public-key\", \"alg\": -7 } ],",
+    "    attestation: \"direct\",",
+    "    timeout: 30000,",
+    "    excludeCredentials: [],",
+    "    authenticatorSelection: {\"userVerification\":\"preferred\"}",
+    "};",
+    "navigator.credentials.create({ publicKey: publicKey });"
+].join("\n"));
+
+let authenticationScript = () => script([
+    "var options = {",
+    "    rpId: \"example.com\",",
+    "    challenge: new Int8Array([1, 2, 3]).buffer,",
+    "    timeout: 30000,",
+    "    userVerification: \"preferred\",",
+    "    allowCredentials: [{ type: \"public-key\", id: new Int8Array([3, 4]).buffer }, { type: \"public-key\", id: new Int8Array([5]).buffer }]",
+    "};",
+    "navigator.credentials.get({ \"publicKey\": options });"
+].join("\n"));
+
+// the scripts and metadata as AM generates them, with quoted keys and a function to decode the user ID
+let amRegistrationScript = () => script([
+    "var publicKey = {",
+    "    challenge: new Int8Array([1, 2, 3]).buffer,",
+    "    // Relying Party:",
+    "    rp: {",
+    "        id: \"example.com\",",
+    "        name: \"ForgeRock\"",
+    "    },",
+    "    // User:",
+    "    user: {",
+    "        id: Uint8Array.from(\"ZGVtbw\", function (c) { return c.charCodeAt(0) }),",
+    "        name: \"demo\",",
+    "        displayName: \"Demo User\"",
+    "    },",
+    "    pubKeyCredParams: [ { \"type\": \"public-key\", \"alg\": -257 }, { \"type\": \"public-key\", \"alg\": -7 } ],",
+    "    attestation: \"none\",",
+    "    timeout: 60000,",
+    "    excludeCredentials: [{ \"type\": \"public-key\", \"id\": new Int8Array([49, -10]).buffer }],",
+    "    authenticatorSelection: {\"userVerification\":\"preferred\"}",
+    "};",
+    "navigator.credentials.create({publicKey: publicKey});"
+].join("\n"));
+
+let amAuthenticationMetadata = () => metadata({
+    _action: "webauthn_authentication",
+    challenge: "AQID",
+    relyingPartyId: "rpId: \"example.com\",",
+    userVerification: "preferred",
+    timeout: "60000",
+    allowCredentials: "allowCredentials: [{ \"type\": \"public-key\", \"id\": new Int8Array([3, 4]).buffer }," +
+        "{ \"type\": \"public-key\", \"id\": new Int8Array([-5]).buffer }]"
+});
+
+let setGlobal = (name, value) => Object.defineProperty(global, name, { value, configurable: true, writable: true });
+
+let assertion = () => ({
+    id: "credential-id",
+    response: {
+        clientDataJSON: toBuffer("{\"type\":\"webauthn.get\"}"),
+        authenticatorData: new Int8Array([1, -1]).buffer,
+        signature: new Int8Array([2, -2]).buffer,
+        userHandle: toBuffer("demo")
+    }
+});
+
+describe("WebAuthn", () => {
+    afterEach(() => {
+        delete global.navigator;
+        delete global.PublicKeyCredential;
+    });
+
+    it("recognizes registration and authentication steps from their metadata or script", () => {
+        assert.strictEqual(webauthn.getStepType(registrationMetadata()), "registration");
+        assert.strictEqual(webauthn.getStepType(authenticationMetadata()), "authentication");
+        assert.strictEqual(webauthn.getStepType(registrationScript()), "registration");
+        assert.strictEqual(webauthn.getStepType(authenticationScript()), "authentication");
+        assert.strictEqual(webauthn.getStepType([helpers.nameCallback(), outcomeCallback()]), null);
+        // without the HiddenValueCallback, there is nowhere to put the outcome
+        assert.strictEqual(webauthn.getStepType(registrationMetadata().slice(0, 1)), null);
+    });
+
+    it("decodes the options of a registration step from its metadata", () => {
+        let options = webauthn.getPublicKeyOptions(registrationMetadata());
+
+        assert.deepStrictEqual(bytes(options.challenge), [1, 2, 3]);
+        assert.deepStrictEqual(options.rp, { id: "example.com", name: "ForgeRock" });
+        assert.deepStrictEqual(Array.from(options.user.id), Array.from("ZGVtbw", (c) => c.charCodeAt(0)));
+        assert.strictEqual(options.user.name, "demo");
+        assert.strictEqual(options.user.displayName, "Demo User");
+        assert.deepStrictEqual(options.pubKeyCredParams, [{ type: "public-key", alg: -257 }, { type: "public-key", alg: -7 }]);
+        assert.strictEqual(options.timeout, 60000);
+        assert.strictEqual(options.attestation, "none");
+        assert.deepStrictEqual(options.authenticatorSelection, { userVerification: "preferred" });
+        assert.deepStrictEqual(options.excludeCredentials.map((credential) => bytes(credential.id)), [[1, -2]]);
+    });
+
+    it("decodes the options of an authentication step from its metadata", () => {
+        let options = webauthn.getPublicKeyOptions(authenticationMetadata());
+
+        assert.deepStrictEqual(bytes(options.challenge), [1, 2, 3]);
+        assert.strictEqual(options.rpId, "example.com");
+        assert.strictEqual(options.timeout, 60000);
+        assert.strictEqual(options.userVerification, "required");
+        assert.deepStrictEqual(options.allowCredentials.map((credential) => [credential.type, bytes(credential.id)]),
+            [["public-key", [3, 4]]]);
+    });
+
+    it("decodes the options of registration and authentication steps from their scripts", () => {
+        let registration = webauthn.getPublicKeyOptions(registrationScript()),
+            authentication = webauthn.getPublicKeyOptions(authenticationScript());
+
+        assert.deepStrictEqual(bytes(registration.challenge), [1, 2, 3]);
+        assert.deepStrictEqual(registration.rp, { id: undefined, name: "ForgeRock" });
+        assert.strictEqual(registration.user.name, "demo");
+        assert.strictEqual(registration.user.displayName, "Demo User");
+        assert.deepStrictEqual(registration.pubKeyCredParams, [{ type: "public-key", alg: -7 }]);
+        assert.strictEqual(registration.attestation, "direct");
+        assert.strictEqual(registration.timeout, 30000);
+        assert.deepStrictEqual(registration.excludeCredentials, []);
+
+        assert.strictEqual(authentication.rpId, "example.com");
+        assert.strictEqual(authentication.userVerification, "preferred");
+        assert.deepStrictEqual(authentication.allowCredentials.map((credential) => bytes(credential.id)), [[3, 4], [5]]);
+    });
+
+    it("decodes the options from the scripts and metadata AM generates, whose keys are quoted", () => {
+        let registration = webauthn.getPublicKeyOptions(amRegistrationScript()),
+            authentication = webauthn.getPublicKeyOptions(amAuthenticationMetadata());
+
+        assert.strictEqual(webauthn.getStepType(amRegistrationScript()), "registration");
+        assert.deepStrictEqual(registration.rp, { id: "example.com", name: "ForgeRock" });
+        assert.deepStrictEqual(Array.from(registration.user.id), Array.from("ZGVtbw", (c) => c.charCodeAt(0)));
+        assert.strictEqual(registration.user.name, "demo");
+        assert.strictEqual(registration.user.displayName, "Demo User");
+        assert.deepStrictEqual(registration.pubKeyCredParams, [{ type: "public-key", alg: -257 }, { type: "public-key", alg: -7 }]);
+        assert.deepStrictEqual(registration.excludeCredentials.map((credential) => bytes(credential.id)), [[49, -10]]);
+
+        assert.strictEqual(authentication.rpId, "example.com");
+        assert.deepStrictEqual(authentication.allowCredentials.map((credential) => [credential.type, bytes(credential.id)]),
+            [["public-key", [3, 4]], ["public-key", [-5]]]);
+    });
+
+    it("encodes the credentials created or asserted into the outcomes AM expects", () => {
+        let userHandle = toBuffer("demo"),
+            registration = {
+                id: "credential-id",
+                response: {
+                    clientDataJSON: toBuffer("{\"type\":\"webauthn.create\"}"),
+                    attestationObject: new Int8Array([-93, 99]).buffer
+                }
+            };
+        setGlobal("PublicKeyCredential", function () {});
+        setGlobal("navigator", { credentials: {
+            create: () => Promise.resolve(registration),
+            get: () => Promise.resolve(Object.assign(assertion(), {
+                response: Object.assign(assertion().response, { userHandle })
+            }))
+        } });
+
+        return Promise.all([webauthn.execute(registrationMetadata()), webauthn.execute(authenticationMetadata())])
+            .then((results) => {
+                assert.deepStrictEqual(results, [
+                    { type: "registration", outcome: "{\"type\":\"webauthn.create\"}::-93,99::credential-id" },
+                    { type: "authentication", outcome: "{\"type\":\"webauthn.get\"}::1,-1::2,-2::credential-id::demo" }
+                ]);
+                // an empty userHandle is left out
+                userHandle = new ArrayBuffer(0);
+                return webauthn.execute(authenticationScript());
+            })
+            .then((result) => assert.strictEqual(result.outcome, "{\"type\":\"webauthn.get\"}::1,-1::2,-2::credential-id"));
+    });
+
+    it("completes the step of a journey with the credential, and submits it", () => {
+        let server = helpers.fakeServer([
+                helpers.respond(helpers.step(authenticationScript())),
+                helpers.respond(helpers.success())
+            ]),
+            journey = new Journey({ authenticateUrl, transport: server.transport }),
+            requested = [];
+        setGlobal("PublicKeyCredential", function () {});
+        setGlobal("navigator", { credentials: { get: (options) => {
+            requested.push(options.publicKey);
+            return Promise.resolve(assertion());
+        } } });
+
+        return journey.start()
+            .then(() => webauthn.handleStep(journey))
+            .then((step) => {
+                assert.strictEqual(step.status, "success");
+                assert.strictEqual(requested.length, 1);
+                assert.strictEqual(requested[0].rpId, "example.com");
+                assert.strictEqual(server.requests[1].body.callbacks[1].input[0].value,
+                    "{\"type\":\"webauthn.get\"}::1,-1::2,-2::credential-id::demo");
+            });
+    });
+
+    it("reports a cancelled or unsupported step, and still submits the outcome", () => {
+        let server = helpers.fakeServer((req) => helpers.respond(req.body.authId
+                ? helpers.failure()
+                : helpers.step(registrationMetadata()))),
+            journey = new Journey({ authenticateUrl, transport: server.transport }),
+            reported = [];
+        setGlobal("PublicKeyCredential", function () {});
+        setGlobal("navigator", { credentials: { create: () => Promise.reject(new DOMException("Cancelled", "NotAllowedError")) } });
+
+        return journey.start()
+            .then(() => webauthn.handleStep(journey, (errorType, error, type) => reported.push([errorType, error.name, type])))
+            .then(() => {
+                delete global.PublicKeyCredential;
+                return journey.start();
+            })
+            .then(() => webauthn.handleStep(journey, (errorType, error, type) => reported.push([errorType, error, type])))
+            .then(() => {
+                assert.deepStrictEqual(reported, [
+                    ["cancelled", "NotAllowedError", "registration"],
+                    ["unsupported", undefined, "registration"]
+                ]);
+                assert.deepStrictEqual(server.requests.filter((req) => req.body.authId)
+                    .map((req) => req.body.callbacks[1].input[0].value), ["ERROR::NotAllowedError:Cancelled", "unsupported"]);
+            });
+    });
+
+    it("submits the outcome with the function given, and nothing once the journey is destroyed", () => {
+        let server = helpers.fakeServer([
+                helpers.respond(helpers.step(authenticationScript())),
+                helpers.respond(helpers.step(authenticationScript()))
+            ]),
+            journey = new Journey({ authenticateUrl, transport: server.transport }),
+            submitted = [];
+        setGlobal("PublicKeyCredential", function () {});
+        setGlobal("navigator", { credentials: { get: () => Promise.resolve(assertion()) } });
+
+        return journey.start()
+            .then(() => webauthn.handleStep(journey, null, () => {
+                submitted.push(journey.currentCallbacks.callbacks[1].input[0].value);
+                return { status: "submitted" };
+            }))
+            .then((result) => {
+                assert.deepStrictEqual(result, { status: "submitted" });
+                assert.deepStrictEqual(submitted, ["{\"type\":\"webauthn.get\"}::1,-1::2,-2::credential-id::demo"]);
+                return journey.start();
+            })
+            .then(() => {
+                let handled = webauthn.handleStep(journey);
+                journey.destroy();
+                return handled;
+            })
+            .then((result) => {
+                assert.deepStrictEqual(result, { status: "aborted" });
+                assert.strictEqual(server.requests.length, 2);
+            });
+    });
+});
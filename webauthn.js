@@ -0,0 +1,268 @@
+(function () {
+    "use strict";
+
+    /**
+     * Module used to complete the WebAuthn registration and authentication steps produced by AM's
+     * WebAuthn nodes, by calling `navigator.credentials` directly rather than running the script
+     * AM supplies. The steps are recognized whether AM sends its options as a MetadataCallback or
+     * within a script TextOutputCallback. The result is encoded into the outcome format AM expects
+     * and placed in the "webAuthnOutcome" HiddenValueCallback.
+     * @module ForgeRockWebAuthn
+     */
+    const OUTCOME_ID = "webAuthnOutcome";
+
+    let findName = (array, name) => (array || []).reduce(
+        (found, item) => found || (item.name === name && item), false
+    );
+
+    let outputValue = (callback, name) => (findName(callback.output, name) || {}).value;
+
+    let base64ToBuffer = (value) => Uint8Array.from(atob(value), (c) => c.charCodeAt(0)).buffer;
+
+    let int8ToBuffer = (values) => new Int8Array(values).buffer;
+
+    let bufferToInt8String = (buffer) => new Int8Array(buffer).toString();
+
+    let bufferToString = (buffer) => String.fromCharCode.apply(null, new Uint8Array(buffer));
+
+    let parseIds = (text) => {
+        let ids = [],
+            pattern = /"?id"?\s*:\s*new Int8Array\(\[([-\d,\s]*)\]\)/g,
+            match;
+        while ((match = pattern.exec(text || "")) !== null) {
+            ids.push(match[1].split(",").map((value) => parseInt(value, 10)));
+        }
+        return ids;
+    };
+
+    let parseObject = (text) => {
+        try {
+            return JSON.parse(text.replace(/([{,]\s*)(\w+)\s*:/g, "$1\"$2\":"));
+        } catch (e) {
+            return undefined;
+        }
+    };
+
+    let match = (text, pattern) => {
+        let found = (text || "").match(pattern);
+        return found ? found[1] : undefined;
+    };
+
+    let credentialDescriptors = (structured, text) =>
+        (structured || parseIds(text).map((id) => ({ type: "public-key", id })))
+            .map((credential) => ({ type: credential.type || "public-key", id: int8ToBuffer(credential.id) }));
+
+    /**
+     * @param {Array} callbacks - the callbacks of the current step
+     * @returns {Object} - the HiddenValueCallback which receives the outcome, or false if there is none
+     */
+    let getOutcomeCallback = (callbacks) => (callbacks || []).reduce((found, callback) =>
+        found || (callback.type === "HiddenValueCallback" && outputValue(callback, "id") === OUTCOME_ID && callback), false);
+
+    /**
+     * @param {Array} callbacks - the callbacks of the current step
+     * @returns {Object} - the source of the WebAuthn options: { metadata } or { script }, or null if there is none
+     */
+    let getSource = (callbacks) => (callbacks || []).reduce((found, callback) => {
+        if (found) {
+            return found;
+        }
+        if (callback.type === "MetadataCallback") {
+            let data = outputValue(callback, "data") || {};
+            return data._type === "WebAuthn" || data.relyingPartyId !== undefined || data._relyingPartyId !== undefined
+                ? { metadata: data } : null;
+        }
+        if (callback.type === "TextOutputCallback" && outputValue(callback, "messageType") === "4") {
+            let script = outputValue(callback, "message") || "";
+            return /navigator\.credentials\.(create|get)|pubKeyCredParams|allowCredentials/.test(script)
+                ? { script } : null;
+        }
+        return null;
+    }, null);
+
+    /**
+     * @param {Array} callbacks - the callbacks of the current step
+     * @returns {string} - "registration" or "authentication" if this is a WebAuthn step, otherwise null
+     */
+    let getStepType = function (callbacks) {
+        let source = getSource(callbacks);
+        if (!source || !getOutcomeCallback(callbacks)) {
+            return null;
+        }
+        if (source.metadata) {
+            if (source.metadata._action) {
+                return source.metadata._action === "webauthn_registration" ? "registration" : "authentication";
+            }
+            return source.metadata.pubKeyCredParams !== undefined ? "registration" : "authentication";
+        }
+        return /pubKeyCredParams|navigator\.credentials\.create/.test(source.script) ? "registration" : "authentication";
+    };
+
+    /**
+     * @param {Array} callbacks - the callbacks of the current step
+     * @returns {Object} - the `publicKey` options to pass to `navigator.credentials.create` (registration)
+     *  or `navigator.credentials.get` (authentication), decoded from the step
+     */
+    let getPublicKeyOptions = function (callbacks) {
+        let source = getSource(callbacks),
+            type = getStepType(callbacks),
+            data = source.metadata,
+            script = source.script,
+            rpId = data
+                ? data._relyingPartyId || match(data.relyingPartyId, /"([^"]*)"/)
+                : match(script, /rpId:\s*"([^"]*)"/) || match(script, /rp:\s*\{[^}]*\bid:\s*"([^"]*)"/),
+            timeout = parseInt(data ? data.timeout : match(script, /timeout:\s*(\d+)/), 10) || undefined,
+            challenge = data
+                ? base64ToBuffer(data.challenge)
+                : int8ToBuffer(match(script, /challenge:\s*new Int8Array\(\[([-\d,\s]*)\]\)/).split(",").map((v) => parseInt(v, 10)));
+
+        if (type === "registration") {
+            // AM decodes the user ID with `function (c) { return c.charCodeAt(0) }`, so the name may follow a "}"
+            let userId = data ? data.userId : match(script, /id:\s*Uint8Array\.from\("([^"]*)"/),
+                userName = data ? data.userName : match(script, /user:\s*\{[\s\S]*?\bname:\s*"([^"]*)"/),
+                pubKeyCredParams = data && data._pubKeyCredParams;
+
+            if (!pubKeyCredParams) {
+                let text = data ? data.pubKeyCredParams : match(script, /pubKeyCredParams:\s*(\[[^\]]*\])/),
+                    algs = [],
+                    pattern = /"?alg"?\s*:\s*(-?\d+)/g,
+                    found;
+                while ((found = pattern.exec(text || "")) !== null) {
+                    algs.push({ type: "public-key", alg: parseInt(found[1], 10) });
+                }
+                pubKeyCredParams = algs;
+            }
+
+            return {
+                challenge,
+                rp: {
+                    id: rpId || undefined,
+                    name: data ? data.relyingPartyName : match(script, /rp:\s*\{[^}]*name:\s*"([^"]*)"/)
+                },
+                user: {
+                    id: Uint8Array.from(userId || "", (c) => c.charCodeAt(0)),
+                    name: userName,
+                    displayName: (data ? data.displayName : match(script, /displayName:\s*"([^"]*)"/)) || userName
+                },
+                pubKeyCredParams,
+                timeout,
+                attestation: data ? data.attestationPreference : match(script, /attestation:\s*"(\w+)"/),
+                authenticatorSelection: (data && data._authenticatorSelection) ||
+                    parseObject((data ? data.authenticatorSelection : match(script, /authenticatorSelection:\s*(\{[^}]*\})/)) || "{}") || {},
+                excludeCredentials: credentialDescriptors(data && data._excludeCredentials, data ? data.excludeCredentials : script)
+            };
+        }
+
+        return {
+            challenge,
+            rpId: rpId || undefined,
+            timeout,
+            userVerification: data ? data.userVerification : match(script, /userVerification:\s*"(\w+)"/),
+            allowCredentials: credentialDescriptors(data && data._allowCredentials, data ? data.allowCredentials : script)
+        };
+    };
+
+    /**
+     * @returns {boolean} - true if the browser is able to use WebAuthn
+     */
+    let isSupported = () => typeof navigator !== "undefined" && !!navigator.credentials &&
+        typeof PublicKeyCredential !== "undefined";
+
+    /**
+     * @param {Object} credential - the PublicKeyCredential produced by `navigator.credentials.create`
+     * @returns {string} - the outcome AM expects for a registration
+     */
+    let encodeRegistration = (credential) => [
+        bufferToString(credential.response.clientDataJSON),
+        bufferToInt8String(credential.response.attestationObject),
+        credential.id
+    ].join("::");
+
+    /**
+     * @param {Object} credential - the PublicKeyCredential produced by `navigator.credentials.get`
+     * @returns {string} - the outcome AM expects for an authentication
+     */
+    let encodeAuthentication = (credential) => {
+        let parts = [
+            bufferToString(credential.response.clientDataJSON),
+            bufferToInt8String(credential.response.authenticatorData),
+            bufferToInt8String(credential.response.signature),
+            credential.id
+        ];
+        if (credential.response.userHandle && credential.response.userHandle.byteLength) {
+            parts.push(bufferToString(credential.response.userHandle));
+        }
+        return parts.join("::");
+    };
+
+    /**
+     * @param {Array} callbacks - the callbacks of a WebAuthn step
+     * @returns {Promise} - never rejected; resolved with { outcome, type, errorType, error }, where outcome is the
+     *  value to submit to AM and type is "registration" or "authentication". For problems, errorType is one of
+     *  "unsupported" (the browser cannot use WebAuthn), "cancelled" (the user cancelled, or the request timed out)
+     *  or "error", and error is the underlying error (if any).
+     */
+    let execute = function (callbacks) {
+        let type = getStepType(callbacks);
+
+        if (!isSupported()) {
+            return Promise.resolve({ type, outcome: "unsupported", errorType: "unsupported" });
+        }
+
+        return Promise.resolve()
+            .then(() => {
+                let publicKey = getPublicKeyOptions(callbacks);
+                return type === "registration"
+                    ? navigator.credentials.create({ publicKey }).then((credential) => encodeRegistration(credential))
+                    : navigator.credentials.get({ publicKey }).then((credential) => encodeAuthentication(credential));
+            })
+            .then((outcome) => ({ type, outcome }), (error) => ({
+                type,
+                outcome: `ERROR::${error.name}:${error.message}`,
+                errorType: error.name === "NotAllowedError" || error.name === "AbortError" ? "cancelled" : "error",
+                error
+            }));
+    };
+
+    /**
+     * @param {Array} callbacks - the callbacks of a WebAuthn step
+     * @param {string} outcome - the value to submit to AM
+     */
+    let setOutcome = function (callbacks, outcome) {
+        [].concat(getOutcomeCallback(callbacks).input)[0].value = outcome;
+    };
+
+    /**
+     * Completes a WebAuthn step of a `ForgeRockJourney`, and submits the result.
+     * @param {Object} journey - the journey whose current step is a WebAuthn step
+     * @param {function} [errorHandler] - Function to call with (errorType, error, type) when WebAuthn cannot be completed.
+     *  The outcome describing the problem is still submitted to AM, so that the tree can follow its failure outcomes.
+     * @param {function} [submit] - Function to call to submit the outcome, in place of the journey's `submit`
+     * @returns {Promise} - resolved with the result of submitting the outcome: the step model produced by the response.
+     *  If the journey is destroyed before WebAuthn is completed, nothing is submitted, and it is resolved with
+     *  `{ status: "aborted" }` instead.
+     */
+    let handleStep = function (journey, errorHandler, submit) {
+        let callbacks = journey.currentCallbacks.callbacks;
+        return execute(callbacks).then((result) => {
+            if (journey.destroyed) {
+                return { status: "aborted" };
+            }
+            if (result.errorType && errorHandler) {
+                errorHandler(result.errorType, result.error, result.type);
+            }
+            setOutcome(callbacks, result.outcome);
+            return submit ? submit() : journey.submit();
+        });
+    };
+
+    module.exports = {
+        getStepType,
+        getPublicKeyOptions,
+        isSupported,
+        execute,
+        setOutcome,
+        handleStep
+    };
+
+}());